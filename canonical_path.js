@@ -26,14 +26,23 @@
 //   "/docs/index/foo"      → ["docs"]
 //   "/a/./b/../c"          → ["a", "c"]
 //
+// Paths that can't be decoded (not strings, or with malformed
+// percent-encoding) throw an InvalidPath error.
+//
 // =============================================================================
 
+var { InvalidPath } = require('./errors')
+
 // -----------------------------------------------------------------------------
 // Component Decoding
 // -----------------------------------------------------------------------------
 
 function decode_component(component) {
-  return decodeURIComponent(component).normalize()
+  try {
+    return decodeURIComponent(component).normalize()
+  } catch (e) {
+    throw new InvalidPath(`url-file-db: malformed path component: ${component}`, { path: component, cause: e })
+  }
 }
 
 // -----------------------------------------------------------------------------
@@ -41,6 +50,10 @@ function decode_component(component) {
 // -----------------------------------------------------------------------------
 
 function decode_path(path) {
+  if (typeof path !== 'string') {
+    throw new InvalidPath(`url-file-db: path must be a string, got ${typeof path}`, { path })
+  }
+
   // Handle optional leading slash
   if (path.startsWith('/')) {
     path = path.slice(1)
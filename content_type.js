@@ -0,0 +1,102 @@
+// =============================================================================
+// Content Types
+// =============================================================================
+//
+// Maps file extensions to media types, and guesses media types from the
+// first bytes of content when there is no extension.
+//
+// =============================================================================
+
+var extension_to_type = {
+  html: 'text/html; charset=utf-8',
+  htm: 'text/html; charset=utf-8',
+  css: 'text/css; charset=utf-8',
+  js: 'text/javascript; charset=utf-8',
+  mjs: 'text/javascript; charset=utf-8',
+  json: 'application/json',
+  txt: 'text/plain; charset=utf-8',
+  md: 'text/markdown; charset=utf-8',
+  csv: 'text/csv; charset=utf-8',
+  xml: 'application/xml',
+  svg: 'image/svg+xml',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  ico: 'image/x-icon',
+  pdf: 'application/pdf',
+  wasm: 'application/wasm',
+  zip: 'application/zip',
+  gz: 'application/gzip',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  ttf: 'font/ttf',
+  otf: 'font/otf'
+}
+
+// Returns the media type for a path's extension, or null if unknown
+function get_content_type(path) {
+  var name = path.slice(path.lastIndexOf('/') + 1)
+  var dot = name.lastIndexOf('.')
+  if (dot <= 0) return null
+  return extension_to_type[name.slice(dot + 1).toLowerCase()] || null
+}
+
+// Signatures at the start of binary formats
+var magic_numbers = [
+  [[0x89, 0x50, 0x4e, 0x47], 'image/png'],
+  [[0xff, 0xd8, 0xff], 'image/jpeg'],
+  [[0x47, 0x49, 0x46, 0x38], 'image/gif'],
+  [[0x25, 0x50, 0x44, 0x46, 0x2d], 'application/pdf'],
+  [[0x50, 0x4b, 0x03, 0x04], 'application/zip'],
+  [[0x1f, 0x8b], 'application/gzip'],
+  [[0x00, 0x61, 0x73, 0x6d], 'application/wasm'],
+  [[0x49, 0x44, 0x33], 'audio/mpeg'],
+  [[0x1a, 0x45, 0xdf, 0xa3], 'video/webm']
+]
+
+// Guesses the media type from the first bytes of content (a Buffer; 512
+// bytes are plenty). Falls back to text/plain for text and
+// application/octet-stream for anything else.
+function sniff_content_type(head) {
+  for (var [bytes, type] of magic_numbers) {
+    if (bytes.every((byte, i) => head[i] === byte)) return type
+  }
+  if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') return 'image/webp'
+  if (head.toString('latin1', 4, 8) === 'ftyp') return 'video/mp4'
+
+  // Binary if it has control characters other than whitespace
+  if (head.some(byte => byte < 0x09 || (byte > 0x0d && byte < 0x20 && byte !== 0x1b))) {
+    return 'application/octet-stream'
+  }
+
+  var text = head.toString('utf8').replace(/^\ufeff/, '').trimStart()
+  var lower = text.slice(0, 100).toLowerCase()
+  if (lower.startsWith('<!doctype html') || lower.startsWith('<html')) return 'text/html; charset=utf-8'
+  if (lower.startsWith('<svg')) return 'image/svg+xml'
+  if (lower.startsWith('<?xml')) return lower.includes('<svg') ? 'image/svg+xml' : 'application/xml'
+  if (text.startsWith('{') || text.startsWith('[')) {
+    try {
+      JSON.parse(text)
+      return 'application/json'
+    } catch (e) {
+      // Not JSON (or only the start of it)
+    }
+  }
+  return 'text/plain; charset=utf-8'
+}
+
+// -----------------------------------------------------------------------------
+// Exports
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  get_content_type,
+  sniff_content_type
+}
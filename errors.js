@@ -0,0 +1,181 @@
+// =============================================================================
+// Errors
+// =============================================================================
+//
+// Error classes thrown by url-file-db. Each has a `code` so callers can tell
+// them apart without instanceof (e.g. across package copies).
+//
+// =============================================================================
+
+// -----------------------------------------------------------------------------
+// Conflict
+// -----------------------------------------------------------------------------
+//
+// A conditional write or delete whose precondition failed. Carries the
+// canonical_path, the condition that failed ('if_match', 'if_none_match' or
+// 'if_unmodified_since') and the resource's current version (null if it
+// doesn't exist).
+
+class Conflict extends Error {
+  constructor(message, details = {}) {
+    super(message)
+    this.name = 'Conflict'
+    this.code = 'CONFLICT'
+    this.canonical_path = details.canonical_path
+    this.condition = details.condition
+    this.version = details.version === undefined ? null : details.version
+  }
+}
+
+// -----------------------------------------------------------------------------
+// NotFound, ReadOnly, IOError
+// -----------------------------------------------------------------------------
+//
+// Storage failures, made by from_storage_error. Each carries the
+// canonical_path it happened on (if known) and the original error as
+// `cause`, so e.g. a full disk is an IOError whose cause.code is 'ENOSPC'.
+
+class NotFound extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause })
+    this.name = 'NotFound'
+    this.code = 'NOT_FOUND'
+    this.canonical_path = details.canonical_path
+  }
+}
+
+// The storage refused the write (permissions or a read-only filesystem)
+class ReadOnly extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause })
+    this.name = 'ReadOnly'
+    this.code = 'READ_ONLY'
+    this.canonical_path = details.canonical_path
+  }
+}
+
+class IOError extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause })
+    this.name = 'IOError'
+    this.code = 'IO_ERROR'
+    this.canonical_path = details.canonical_path
+  }
+}
+
+// Turns an error from the storage adapter (one with a syscall, like fs
+// errors) into a NotFound, ReadOnly or IOError. Other errors are returned
+// as they are.
+function from_storage_error(e, canonical_path) {
+  if (!e || !e.syscall) return e
+
+  var details = { canonical_path, cause: e }
+  var message = `url-file-db: ${e.message}`
+  if (e.code === 'ENOENT' || e.code === 'ENOTDIR') return new NotFound(message, details)
+  if (e.code === 'EACCES' || e.code === 'EPERM' || e.code === 'EROFS') return new ReadOnly(message, details)
+  return new IOError(message, details)
+}
+
+// -----------------------------------------------------------------------------
+// InvalidPath
+// -----------------------------------------------------------------------------
+//
+// A path that can't be decoded into components: not a string, or with a
+// malformed percent-encoding like "/100%".
+
+class InvalidPath extends Error {
+  constructor(message, details = {}) {
+    super(message, { cause: details.cause })
+    this.name = 'InvalidPath'
+    this.code = 'INVALID_PATH'
+    this.path = details.path
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Locked
+// -----------------------------------------------------------------------------
+//
+// Another db (in this process or another one) holds the lock on meta_dir.
+// Carries the lock file's path and its holder, {pid, hostname, started}
+// (null if the lock file couldn't be read).
+
+class Locked extends Error {
+  constructor(message, details = {}) {
+    super(message)
+    this.name = 'Locked'
+    this.code = 'LOCKED'
+    this.path = details.path
+    this.holder = details.holder || null
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Closed
+// -----------------------------------------------------------------------------
+//
+// A db method was called after db.close().
+
+class Closed extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'Closed'
+    this.code = 'CLOSED'
+  }
+}
+
+// -----------------------------------------------------------------------------
+// QuotaExceeded
+// -----------------------------------------------------------------------------
+//
+// A write that would take a file or a prefix past a limit set in create()'s
+// options. Carries the canonical_path written, the limit ('max_file_size',
+// 'max_total_bytes', or a quota's 'max_bytes' or 'max_files'), the prefix it
+// applies to (null for max_file_size) and its max.
+
+class QuotaExceeded extends Error {
+  constructor(message, details = {}) {
+    super(message)
+    this.name = 'QuotaExceeded'
+    this.code = 'QUOTA_EXCEEDED'
+    this.canonical_path = details.canonical_path
+    this.limit = details.limit
+    this.prefix = details.prefix === undefined ? null : details.prefix
+    this.max = details.max
+  }
+}
+
+// -----------------------------------------------------------------------------
+// ChangesLost
+// -----------------------------------------------------------------------------
+//
+// db.changes was asked for changes after a seq the change log no longer
+// keeps, so the caller has to resync from a full listing. Carries the
+// `since` asked for and the `oldest` seq still kept.
+
+class ChangesLost extends Error {
+  constructor(message, details = {}) {
+    super(message)
+    this.name = 'ChangesLost'
+    this.code = 'CHANGES_LOST'
+    this.since = details.since
+    this.oldest = details.oldest
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Exports
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  Conflict,
+  NotFound,
+  ReadOnly,
+  IOError,
+  InvalidPath,
+  Locked,
+  Closed,
+  QuotaExceeded,
+  ChangesLost,
+  from_storage_error
+}
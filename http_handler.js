@@ -0,0 +1,326 @@
+// =============================================================================
+// HTTP Handler
+// =============================================================================
+//
+// Serves a db over HTTP as (req, res, next) middleware: GET, HEAD, PUT and
+// DELETE on the request path's canonical path. Created with
+// db.http_handler(options).
+//
+// A GET with a Subscribe header starts a Braid-HTTP subscription: the
+// response (status 209) stays open and carries an update with the current
+// content, then another one whenever the resource changes.
+//
+// Options:
+//   read_only (default false) - answer PUT and DELETE with 405
+//   default_content_type (default 'application/octet-stream') - for
+//     resources the db has no media type for
+//
+// Responses carry the media type recorded in the db (see db.write's
+// content_type option), and a PUT records its Content-Type header.
+//
+// Malformed paths get 400, writes the storage refuses get 403, and writes
+// past a quota get 413 (max_file_size) or 507 (the others). A GET for a
+// resource that keeps changing under it, and any request once the db is
+// closed, gets 503. If next
+// is given, requests for missing resources and unsupported methods fall
+// through to it, and other errors are passed to it. Otherwise they get 404,
+// 405 and 500 responses.
+//
+// =============================================================================
+
+var { get_canonical_path } = require('./canonical_path')
+
+// How often a GET starts over because a write landed mid-request
+var max_get_attempts = 3
+
+function http_handler(db, options = {}) {
+  var default_content_type = options.default_content_type || 'application/octet-stream'
+  var allowed_methods = options.read_only ? ['GET', 'HEAD'] : ['GET', 'HEAD', 'PUT', 'DELETE']
+
+  return async (req, res, next) => {
+    try {
+      // The query string is not part of the resource
+      var canonical_path = get_canonical_path(req.url.split('?')[0])
+
+      if (!allowed_methods.includes(req.method)) {
+        if (next) return next()
+        return send(res, 405, { Allow: allowed_methods.join(', ') })
+      }
+
+      if (req.method === 'GET' && req.headers.subscribe) {
+        return await handle_subscribe(req, res, next, canonical_path)
+      }
+      if (req.method === 'GET' || req.method === 'HEAD') {
+        return await handle_get(req, res, next, canonical_path)
+      }
+      if (req.method === 'PUT') return await handle_put(req, res, canonical_path)
+      if (req.method === 'DELETE') return await handle_delete(req, res, next, canonical_path)
+    } catch (e) {
+      // Malformed paths, storage that refuses writes and full quotas are
+      // the client's problem, not the server's; a closed db is unavailable
+      var status = { INVALID_PATH: 400, READ_ONLY: 403, QUOTA_EXCEEDED: 507, CLOSED: 503 }[e.code]
+      if (e.code === 'QUOTA_EXCEEDED' && e.limit === 'max_file_size') status = 413
+      if (status && !res.headersSent) return send(res, status)
+
+      if (next) return next(e)
+      if (!res.headersSent) send(res, 500)
+      else res.destroy(e)
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // GET / HEAD
+  // ---------------------------------------------------------------------------
+
+  async function handle_get(req, res, next, canonical_path, attempt = 1) {
+    var stat = await db.stat(canonical_path)
+    if (!stat) return not_found(res, next)
+
+    var headers = {
+      'Content-Type': stat.content_type || default_content_type,
+      'ETag': to_etag(stat.version),
+      'Last-Modified': to_http_date(stat.mtime_ns),
+      'Accept-Ranges': 'bytes'
+    }
+
+    if (is_not_modified(req, stat)) {
+      delete headers['Content-Type']
+      return send(res, 304, headers)
+    }
+
+    var range = get_range(req, stat)
+    if (range === 'unsatisfiable') {
+      return send(res, 416, { ...headers, 'Content-Range': `bytes */${stat.size}` })
+    }
+
+    var status = 200
+    if (range) {
+      status = 206
+      headers['Content-Range'] = `bytes ${range.start}-${range.end}/${stat.size}`
+      headers['Content-Length'] = range.end - range.start + 1
+    } else {
+      headers['Content-Length'] = stat.size
+    }
+
+    if (req.method === 'HEAD') return send(res, status, headers)
+
+    // Empty files can't be opened with a byte range, and need no stream
+    if (!stat.size) return send(res, status, headers, '')
+
+    // Open the version the headers describe; if a write got in between,
+    // start over with the new one, unless it keeps changing
+    try {
+      var stream = await db.read_stream(canonical_path, { ...range, if_match: stat.version })
+    } catch (e) {
+      if (e.code !== 'CONFLICT') throw e
+      if (attempt >= max_get_attempts) return send(res, 503, { 'Retry-After': '1' })
+      return handle_get(req, res, next, canonical_path, attempt + 1)
+    }
+    if (!stream) return not_found(res, next)
+
+    res.writeHead(status, headers)
+    await require('stream').promises.pipeline(stream, res)
+  }
+
+  // If-None-Match takes precedence over If-Modified-Since (RFC 9110)
+  function is_not_modified(req, stat) {
+    var if_none_match = req.headers['if-none-match']
+    if (if_none_match) return etag_matches(if_none_match, stat.version)
+
+    var if_modified_since = Date.parse(req.headers['if-modified-since'])
+    if (isNaN(if_modified_since)) return false
+    return mtime_seconds(stat.mtime_ns) * 1000 <= if_modified_since
+  }
+
+  // Parses a single byte range, e.g. "bytes=0-99", "bytes=100-" or
+  // "bytes=-100". Returns {start, end} (inclusive), 'unsatisfiable', or
+  // null to serve the whole resource.
+  function get_range(req, stat) {
+    var header = req.headers.range
+    if (!header) return null
+
+    // A stale If-Range means the client wants the whole new version
+    var if_range = req.headers['if-range']
+    if (if_range && if_range !== to_etag(stat.version)) return null
+
+    var match = header.match(/^bytes=(\d*)-(\d*)$/)
+    if (!match || (!match[1] && !match[2])) return null
+
+    var start, end
+    if (!match[1]) {
+      start = Math.max(stat.size - Number(match[2]), 0)
+      end = stat.size - 1
+    } else {
+      start = Number(match[1])
+      end = match[2] ? Math.min(Number(match[2]), stat.size - 1) : stat.size - 1
+    }
+
+    if (start >= stat.size || start > end) return 'unsatisfiable'
+    return { start, end }
+  }
+
+  // ---------------------------------------------------------------------------
+  // GET with Subscribe (Braid-HTTP)
+  // ---------------------------------------------------------------------------
+
+  async function handle_subscribe(req, res, next, canonical_path) {
+    var stat = await db.stat(canonical_path)
+    if (!stat) return not_found(res, next)
+
+    res.writeHead(209, 'Subscription', {
+      'Subscribe': 'true',
+      'Content-Type': stat.content_type || default_content_type,
+      'Cache-Control': 'no-cache, no-transform',
+      'X-Accel-Buffering': 'no'
+    })
+
+    // Updates go out one at a time, each with the state at the time it is
+    // sent; a version already sent is skipped
+    var last_version = null
+    var sending = Promise.resolve()
+    var send_latest = () => sending = sending.then(async () => {
+      if (res.destroyed || res.writableEnded) return
+      var update = await db.read(canonical_path, { with_meta: true })
+
+      if (!update) {
+        if (last_version === null) return
+        last_version = null
+        return res.write(format_update({ 'Status': '404' }, ''))
+      }
+      if (update.version === last_version) return
+
+      var headers = { 'Version': to_etag(update.version) }
+      if (last_version) headers['Parents'] = to_etag(last_version)
+      last_version = update.version
+      res.write(format_update(headers, update.content))
+    }).catch(e => res.destroy(e))
+
+    var unsubscribe = db.on_change(event => {
+      var changes = event.type === 'batch' ? event.changes : [event]
+      if (changes.some(x => x.canonical_path === canonical_path)) send_latest()
+    })
+
+    // Closing the db ends the subscription, so it doesn't keep the server
+    // (and the process) alive
+    var stop_on_close = db.on_close(() => res.end())
+    res.on('close', () => {
+      unsubscribe()
+      stop_on_close()
+    })
+
+    send_latest()
+  }
+
+  // ---------------------------------------------------------------------------
+  // PUT
+  // ---------------------------------------------------------------------------
+
+  async function handle_put(req, res, canonical_path) {
+    var stat = await db.stat(canonical_path)
+
+    // Read-only files are refused in the write's own critical section; the
+    // ReadOnly error becomes a 403
+    var options = { ...get_preconditions(req), if_writable: true }
+    if (req.headers['content-type']) options.content_type = req.headers['content-type']
+
+    try {
+      var stream = await db.write_stream(canonical_path, options)
+    } catch (e) {
+      if (e.code === 'CONFLICT') return send(res, 412)
+      throw e
+    }
+    await require('stream').promises.pipeline(req, stream)
+
+    var version = await db.get_version(canonical_path)
+    send(res, stat ? 204 : 201, version ? { ETag: to_etag(version) } : {})
+  }
+
+  // ---------------------------------------------------------------------------
+  // DELETE
+  // ---------------------------------------------------------------------------
+
+  async function handle_delete(req, res, next, canonical_path) {
+    try {
+      var deleted = await db.delete(canonical_path, { ...get_preconditions(req), if_writable: true })
+    } catch (e) {
+      if (e.code === 'CONFLICT') return send(res, 412)
+      throw e
+    }
+    if (!deleted) return not_found(res, next)
+    send(res, 204)
+  }
+
+  // Maps If-Match, If-None-Match and If-Unmodified-Since to the db's
+  // conditional write options
+  function get_preconditions(req) {
+    var preconditions = {}
+
+    var if_match = req.headers['if-match']
+    if (if_match) preconditions.if_match = parse_etags(if_match)
+
+    var if_none_match = req.headers['if-none-match']
+    if (if_none_match) preconditions.if_none_match = parse_etags(if_none_match)
+
+    // HTTP dates have whole seconds, so allow any mtime within that second
+    var if_unmodified_since = Date.parse(req.headers['if-unmodified-since'])
+    if (!isNaN(if_unmodified_since)) {
+      preconditions.if_unmodified_since = (BigInt(if_unmodified_since) + 999n) * 1000000n + 999999n
+    }
+
+    return preconditions
+  }
+}
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+function send(res, status, headers = {}, body) {
+  res.writeHead(status, headers)
+  res.end(body)
+}
+
+// One update in a subscription: headers, a blank line and the body
+function format_update(headers, body) {
+  body = Buffer.from(body)
+  headers = { ...headers, 'Content-Length': body.length }
+  var head = Object.entries(headers).map(([name, value]) => `${name}: ${value}\r\n`).join('')
+  return Buffer.concat([Buffer.from(head + '\r\n'), body, Buffer.from('\r\n\r\n')])
+}
+
+function not_found(res, next) {
+  if (next) return next()
+  send(res, 404)
+}
+
+function to_etag(version) {
+  return `"${version}"`
+}
+
+// Returns '*' or an array of versions from an If-Match/If-None-Match header.
+// Weak validators are compared as if they were strong.
+function parse_etags(header) {
+  if (header.trim() === '*') return '*'
+  return header.split(',').map(x => x.trim().replace(/^W\//, '').replace(/^"|"$/g, ''))
+}
+
+function etag_matches(header, version) {
+  var etags = parse_etags(header)
+  return etags === '*' || etags.includes(version)
+}
+
+function mtime_seconds(mtime_ns) {
+  return Number(BigInt(mtime_ns) / 1000000000n)
+}
+
+function to_http_date(mtime_ns) {
+  return new Date(mtime_seconds(mtime_ns) * 1000).toUTCString()
+}
+
+// -----------------------------------------------------------------------------
+// Exports
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  http_handler
+}
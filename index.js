@@ -20,9 +20,26 @@ void (() => {
     get_canonical_path,
     decode_component,
     encode_to_avoid_icase_collision,
-    encode_file_path_component
+    encode_file_path_component,
+    encode_canonical_path_component
   } = require('./canonical_path')
 
+  var { fs_storage, memory_storage } = require('./storage')
+  var {
+    Conflict,
+    NotFound,
+    ReadOnly,
+    IOError,
+    InvalidPath,
+    Locked,
+    Closed,
+    QuotaExceeded,
+    ChangesLost,
+    from_storage_error
+  } = require('./errors')
+  var { http_handler } = require('./http_handler')
+  var { get_content_type, sniff_content_type } = require('./content_type')
+
   // -----------------------------------------------------------------------------
   // Main API
   // -----------------------------------------------------------------------------
@@ -37,710 +54,3217 @@ void (() => {
       // Extract options with defaults
       var stability_threshold = options.stability_threshold || 100
       var scan_interval_ms = options.scan_interval_ms || 20000  // Default 20 seconds
+      var hash_algorithm = options.hash_algorithm || 'sha256'
+      var stale_lock_ms = options.stale_lock_ms || 60000
 
-      // Bind filesystem operations
-      var fs = require('fs').promises
-      db._readFile = fs.readFile.bind(fs)
-      db._writeFile = fs.writeFile.bind(fs)
-      db._mkdir = fs.mkdir.bind(fs)
-      db._unlink = fs.unlink.bind(fs)
-
-      await db._mkdir(base_dir, { recursive: true })
+      // A follower opens the db read-only, without the lock on meta_dir, next
+      // to the db that holds it: it rejects writes and never writes to
+      // meta_dir, keeping what it learns about the files in memory
+      var follower = !!options.follower
 
-      var is_case_sensitive = await detect_case_sensitivity(base_dir)
+      if (!require('crypto').getHashes().includes(hash_algorithm)) {
+        throw new Error(`url-file-db: unsupported hash_algorithm: ${hash_algorithm}`)
+      }
 
-      // -----------------------------------------------------------------------------
-      // Meta Storage (inline implementation using within_fiber)
-      // -----------------------------------------------------------------------------
+      // All I/O goes through the storage adapter (see storage.js)
+      var storage = options.storage || fs_storage()
 
-      var meta_storage = await (async () => {
-        // In-memory cache for all metadata
-        var meta_cache = new Map()
+      // Diagnostics go through the logger (see create_logger)
+      var logger = create_logger(options.logger)
 
-        // Track case-insensitive components to avoid collisions
-        var path_to_encoded = new Map()  // canonical_path -> encoded filename
-        var icomponent_to_paths = new Map()  // lowercase component -> Set of canonical paths
+      // Bind filesystem operations
+      db._readFile = storage.readFile.bind(storage)
+      db._writeFile = storage.writeFile.bind(storage)
+      db._mkdir = storage.mkdir.bind(storage)
+      db._unlink = storage.unlink.bind(storage)
+      db._rename = storage.rename.bind(storage)
+      db._readdir = storage.readdir.bind(storage)
+      db._rmdir = storage.rmdir.bind(storage)
+      db._createReadStream = storage.createReadStream.bind(storage)
+      db._createWriteStream = storage.createWriteStream.bind(storage)
+
+      // Set by db.close(); every entry point checks it
+      var closed = false
+
+      // In-flight fibers started by this db, so db.close() can wait for them
+      var pending_fibers = new Set()
+
+      // Storage errors come out as NotFound, ReadOnly or IOError, with the
+      // canonical path for db: and meta: fibers
+      function within_db_fiber(id, func) {
+        var p = within_fiber(id, func)
+        var done = () => pending_fibers.delete(p)
+        pending_fibers.add(p)
+        p.then(done, done)
+
+        var canonical_path = id.match(/^(?:db|meta):(.*)$/)
+        return p.catch(e => {
+          throw from_storage_error(e, canonical_path ? canonical_path[1] : undefined)
+        })
+      }
 
-        // Ensure meta directory exists
-        await fs.mkdir(meta_dir, { recursive: true })
+      // Resolves once no fibers are in flight. Fibers can queue further
+      // fibers (e.g. meta writes), so this loops until none are left.
+      async function fibers_settled() {
+        while (pending_fibers.size) {
+          await Promise.allSettled(Array.from(pending_fibers))
+        }
+      }
 
-        // Convert canonical path to safe filename for meta storage
-        function path_to_meta_filename(canonical_path) {
-          if (path_to_encoded.has(canonical_path)) {
-            return path_to_encoded.get(canonical_path)
-          }
+      // -----------------------------------------------------------------------------
+      // Lock
+      // -----------------------------------------------------------------------------
 
-          // Swap "/" and "!" to avoid ugly %2F encoding while keeping paths readable
-          var swapped = canonical_path.replace(/[\/!]/g, x => x === '/' ? '!' : '/')
-          var encoded = encode_file_path_component(swapped)
+      // Only one db at a time may write to meta_dir (see acquire_lock)
+      var lock_path = meta_dir + '/lock'
+      var lock = follower ? null : await acquire_lock(storage, lock_path, stale_lock_ms, logger)
 
-          if (!is_case_sensitive) {
-            encoded = encode_to_avoid_icase_collision(encoded, icomponent_to_paths)
-          }
+      // Keeps the lock file's mtime fresh, so other hosts don't take it over
+      var lock_timer = null
 
-          return encoded
+      async function refresh_lock() {
+        if (closed) return
+        var current = await read_lock(storage, lock_path)
+        if (!current || !current.holder || current.holder.id !== lock.id) {
+          clearInterval(lock_timer)
+          logger.error('url-file-db: lost the lock on meta_dir to another db',
+            { meta_dir, holder: current && current.holder })
+          return
         }
+        await storage.writeFile(lock_path, JSON.stringify(lock))
+      }
 
-        // Save meta data for a specific path (internal - uses within_fiber)
-        async function save_meta_internal(canonical_path, meta_data) {
-          return within_fiber(`meta:${canonical_path}`, async () => {
-            var filename = path_to_meta_filename(canonical_path)
-            var filepath = meta_dir + '/' + filename
+      // Whatever fails from here on releases the lock again, so the caller
+      // can retry in this process
+      try {
+        // A follower never writes: the db holding the lock makes base_dir
+        if (!follower) await db._mkdir(base_dir, { recursive: true })
 
-            meta_data.canonical_path = canonical_path
-            meta_cache.set(canonical_path, meta_data)
-            path_to_encoded.set(canonical_path, filename)
+        var is_case_sensitive = await detect_case_sensitivity(base_dir, storage, { read_only: follower })
 
-            if (!is_case_sensitive) {
-              var icomponent = filename.toLowerCase()
-              if (!icomponent_to_paths.has(icomponent)) {
-                icomponent_to_paths.set(icomponent, new Set())
-              }
-              icomponent_to_paths.get(icomponent).add(canonical_path)
-            }
+        // For work nobody waits on, like handling a watcher event: reports
+        // failures instead of dropping them
+        function in_background(promise, what) {
+          promise.catch(error => logger.error(`url-file-db: error ${what}`, { error }))
+        }
 
-            await fs.writeFile(filepath, JSON.stringify(meta_data, null, 2))
-          })
+        function assert_open() {
+          if (closed) throw new Closed('url-file-db: database closed')
         }
 
-        // Delete meta data for a specific path (internal - uses within_fiber)
-        async function delete_meta_internal(canonical_path) {
-          return within_fiber(`meta:${canonical_path}`, async () => {
-            var filename = path_to_meta_filename(canonical_path)
-            var filepath = meta_dir + '/' + filename
+        function assert_writable(canonical_path) {
+          if (follower) throw new ReadOnly('url-file-db: this db is a read-only follower', { canonical_path })
+        }
 
-            meta_cache.delete(canonical_path)
-            path_to_encoded.delete(canonical_path)
+        // Running db.delete_tree, db.fsck and directory collapses, as
+        // {prefix, promise}
+        var subtree_locks = new Set()
 
-            if (!is_case_sensitive) {
-              var icomponent = filename.toLowerCase()
-              var paths = icomponent_to_paths.get(icomponent)
-              if (paths) {
-                paths.delete(canonical_path)
-                if (paths.size === 0) {
-                  icomponent_to_paths.delete(icomponent)
-                }
-              }
-            }
+        // Running within_db_fibers calls, as {canonical_paths, promise}
+        var multi_path_ops = new Set()
 
-            try {
-              await fs.unlink(filepath)
-            } catch (e) {
-              if (e.code !== 'ENOENT') throw e
-            }
-          })
+        // Returns a promise if a db.delete_tree, db.fsck or collapse covering
+        // canonical_path is running, or with or_below, one anywhere below it
+        function subtree_lock(canonical_path, or_below) {
+          for (var lock of subtree_locks) {
+            if (is_within(canonical_path, lock.prefix) ||
+                (or_below && is_within(lock.prefix, canonical_path))) return lock.promise
+          }
         }
 
-        // Load existing metadata from disk
-        async function load_all_meta() {
-          try {
-            var files = await fs.readdir(meta_dir)
-            for (var file of files) {
-              try {
-                var content = await fs.readFile(meta_dir + '/' + file, 'utf8')
-                var data = JSON.parse(content)
-                if (data.canonical_path) {
-                  meta_cache.set(data.canonical_path, data)
-                  path_to_encoded.set(data.canonical_path, file)
-
-                  if (!is_case_sensitive) {
-                    var icomponent = file.toLowerCase()
-                    if (!icomponent_to_paths.has(icomponent)) {
-                      icomponent_to_paths.set(icomponent, new Set())
-                    }
-                    icomponent_to_paths.get(icomponent).add(data.canonical_path)
-                  }
-                }
-              } catch (e) {
-                console.error(`Failed to load meta file ${file}:`, e.message)
-              }
-            }
-          } catch (e) {
-            if (e.code !== 'ENOENT') {
-              console.error('Failed to load metadata:', e.message)
+        // Like within_db_fiber for `db:${canonical_path}`, but first waits for
+        // any db.delete_tree covering the path. Enters the fiber synchronously
+        // otherwise, so db.delete_tree can see it.
+        function within_path_fiber(canonical_path, func) {
+          var lock = subtree_lock(canonical_path)
+          if (!lock) return within_db_fiber(`db:${canonical_path}`, func)
+          return lock.then(() => within_path_fiber(canonical_path, func))
+        }
+
+        // -----------------------------------------------------------------------------
+        // Meta Storage (inline implementation using within_fiber)
+        // -----------------------------------------------------------------------------
+        //
+        // Backends persist metadata in meta_dir and provide get, set, delete,
+        // has_been_seen, get_all_paths and close; meta_api adds update and
+        // mark_as_seen on top. options.meta_store picks the backend:
+        //   'files' (default) - one JSON file per canonical path
+        //   'log' or {type: 'log', compact_after} - an append-only log with
+        //     snapshots, see log_meta_storage
+        //   'sqlite' or {type: 'sqlite', path} - a SQLite database, see
+        //     sqlite_meta_storage
+
+        var meta_store_options = typeof options.meta_store === 'object' ?
+          options.meta_store : { type: options.meta_store || 'files' }
+        var meta_log_path = meta_dir + '/meta.log'
+        var meta_snapshot_path = meta_dir + '/meta.snapshot'
+        var meta_sqlite_path = meta_dir + '/meta.sqlite'
+
+        var meta_backend =
+          meta_store_options.type === 'files' ? await file_meta_storage() :
+          meta_store_options.type === 'log' ? await log_meta_storage(meta_store_options) :
+          meta_store_options.type === 'sqlite' ? await sqlite_meta_storage(meta_store_options) :
+          null
+        var meta_storage = meta_api(follower && meta_backend ? follower_meta_storage(meta_backend) : meta_backend)
+
+        function meta_api(store) {
+          if (!store) throw new Error(`url-file-db: unknown meta_store: ${meta_store_options.type}`)
+          return {
+            ...store,
+
+            async update(canonical_path, updates) {
+              var existing = store.get(canonical_path) || {}
+              await store.set(canonical_path, { ...existing, ...updates })
+            },
+
+            // hash is the content digest and content_type the media type, if
+            // known
+            async mark_as_seen(canonical_path, mtime_ns, hash, content_type) {
+              await this.update(canonical_path, {
+                last_seen: Date.now(),
+                mtime_ns: '' + mtime_ns,
+                ...(hash ? { hash } : {}),
+                ...(content_type ? { content_type } : {})
+              })
+            },
+
+            // The {canonical_path, meta} of each path at or below
+            // options.prefix (a canonical path) whose mtime_ns is newer than
+            // options.changed_since, sorted by path. Backends with indexes
+            // provide their own query.
+            query(options = {}) {
+              if (store.query) return store.query(options)
+
+              var prefix = options.prefix || '/'
+              var since = options.changed_since == null ? null : BigInt(options.changed_since)
+              return store.get_all_paths()
+                .filter(canonical_path => is_within(canonical_path, prefix))
+                .sort()
+                .map(canonical_path => ({ canonical_path, meta: store.get(canonical_path) }))
+                .filter(({ meta }) => since === null ||
+                  (/^\d+$/.test(meta.mtime_ns) && BigInt(meta.mtime_ns) > since))
             }
           }
         }
 
-        // Load all metadata on initialization
-        await load_all_meta()
+        // A follower's view of the backend: what it learns goes into memory on
+        // top of what the backend had at startup, and the backend is only read
+        function follower_meta_storage(store) {
+          var overlay = new Map()  // canonical_path -> meta, or null if deleted
 
-        // Return the meta storage API
-        return {
-          get(canonical_path) {
-            return meta_cache.get(canonical_path)
-          },
+          var get = canonical_path =>
+            overlay.has(canonical_path) ? overlay.get(canonical_path) || undefined : store.get(canonical_path)
 
-          async set(canonical_path, meta_data) {
-            await save_meta_internal(canonical_path, meta_data)
-          },
+          return {
+            get,
 
-          async update(canonical_path, updates) {
-            var existing = meta_cache.get(canonical_path) || {}
-            var updated = { ...existing, ...updates }
-            await save_meta_internal(canonical_path, updated)
-          },
+            async set(canonical_path, meta_data) {
+              meta_data.canonical_path = canonical_path
+              overlay.set(canonical_path, meta_data)
+            },
 
-          async delete(canonical_path) {
-            await delete_meta_internal(canonical_path)
-          },
+            async delete(canonical_path) {
+              overlay.set(canonical_path, null)
+            },
 
-          has_been_seen(canonical_path) {
-            return meta_cache.has(canonical_path)
-          },
+            has_been_seen(canonical_path) {
+              return !!get(canonical_path)
+            },
 
-          async mark_as_seen(canonical_path, mtime_ns) {
-            await this.update(canonical_path, {
-              last_seen: Date.now(),
-              mtime_ns: '' + mtime_ns
-            })
-          },
+            get_all_paths() {
+              var paths = new Set(store.get_all_paths())
+              for (var [canonical_path, meta] of overlay) {
+                if (meta) paths.add(canonical_path)
+                else paths.delete(canonical_path)
+              }
+              return Array.from(paths)
+            },
 
-          get_all_paths() {
-            return Array.from(meta_cache.keys())
+            async close() {
+              await store.close()
+            }
           }
         }
-      })()
-
-      // Track canonical_paths with anticipated events from db.write operations
-      // These events should not trigger the user callback
-      // Uses reference counting to handle multiple rapid writes
-      var anticipated_events = new Map()
-
-      // Initialize root node
-      var root = create_node('/')
-      root.directory_promise = Promise.resolve()
-
-      // -------------------------------------------------------------------------
-      // Helper function to ensure node exists in parent
-      // -------------------------------------------------------------------------
-
-      function ensure_node_exists(parent_node, file_path_component) {
-        var component = decode_component(file_path_component)
 
-        // Create node if it doesn't exist
-        if (!parent_node.component_to_node.has(component)) {
-          parent_node.component_to_node.set(component, create_node(file_path_component))
+        // Moves the metadata of the per-file layout into another store, with
+        // import_meta(array of metas), then removes the files. For the first
+        // time a log or sqlite store opens a meta_dir; a follower leaves that
+        // to the db holding the lock.
+        async function migrate_meta_files(import_meta) {
+          if (follower) return
+          var files = await file_meta_storage()
+          var paths = files.get_all_paths()
+          if (paths.length) {
+            await import_meta(paths.map(canonical_path => files.get(canonical_path)))
+            logger.info('url-file-db: migrated per-file metadata',
+              { meta_dir, meta_store: meta_store_options.type, count: paths.length })
+          }
+          await remove_meta_files()
         }
 
-        // Track case-insensitive mappings
-        if (!is_case_sensitive) {
-          var ifile_path_component = file_path_component.toLowerCase()
-          var icomponent = component.toLowerCase()
-
-          if (!parent_node.icomponent_to_ifile_path_components.has(icomponent)) {
-            parent_node.icomponent_to_ifile_path_components.set(icomponent, new Set())
+        async function remove_meta_files() {
+          if (follower) return
+          for (var file of await storage.readdir(meta_dir)) {
+            if (file.startsWith('!')) await storage.unlink(meta_dir + '/' + file)
           }
-          parent_node.icomponent_to_ifile_path_components.get(icomponent).add(ifile_path_component)
         }
 
-        return parent_node.component_to_node.get(component)
-      }
-
-      // -------------------------------------------------------------------------
-      // File Watcher
-      // -------------------------------------------------------------------------
+        // One JSON file per canonical path, named after the path
+        async function file_meta_storage() {
+          // In-memory cache for all metadata
+          var meta_cache = new Map()
 
-      async function chokidar_handler(fullpath, event) {
-        if (!fullpath.startsWith(base_dir + '/')) {
-          return
-        }
+          // Track case-insensitive components to avoid collisions
+          var path_to_encoded = new Map()  // canonical_path -> encoded filename
+          var icomponent_to_paths = new Map()  // lowercase component -> Set of canonical paths
 
-        // Optional filter callback to decide whether to handle this event
-        if (filter_cb && !filter_cb(fullpath, event)) {
-          return
-        }
+          // Ensure meta directory exists
+          if (!follower) await storage.mkdir(meta_dir, { recursive: true })
 
-        var file_path = fullpath.slice(base_dir.length)
-        var file_path_components = file_path.slice(1).split('/')
+          // Convert canonical path to safe filename for meta storage
+          function path_to_meta_filename(canonical_path) {
+            if (path_to_encoded.has(canonical_path)) {
+              return path_to_encoded.get(canonical_path)
+            }
 
-        // Handle add/addDir events - build the node tree
-        if (event.startsWith('add')) {
-          var node = root
-          for (var i = 0; i < file_path_components.length; i++) {
-            var file_path_component = file_path_components[i]
-            node = ensure_node_exists(node, file_path_component)
-            if (node.file_path_component !== file_path_component)
-              throw new Error('Corruption detected - should never happen')
+            // Swap "/" and "!" to avoid ugly %2F encoding while keeping paths readable
+            var swapped = canonical_path.replace(/[\/!]/g, x => x === '/' ? '!' : '/')
+            var encoded = encode_file_path_component(swapped)
 
-            // Mark directories
-            if (i === file_path_components.length - 1 && event === 'addDir') {
-              node.directory_promise = Promise.resolve()
+            if (!is_case_sensitive) {
+              var avoided = encode_to_avoid_icase_collision(encoded, icomponent_to_paths)
+              if (avoided !== encoded) {
+                logger.info('url-file-db: re-encoded meta filename to avoid a case collision',
+                  { canonical_path, file: avoided })
+              }
+              encoded = avoided
             }
+
+            return encoded
           }
-        }
 
-        // Handle unlink/unlinkDir events - remove from node tree
-        if (event.startsWith('unlink')) {
-          var node = root
-          for (var i = 0; i < file_path_components.length; i++) {
-            var file_path_component = file_path_components[i]
-            var component = decode_component(file_path_component)
-            if (i === file_path_components.length - 1) {
-              // Remove from component map
-              node.component_to_node.delete(component)
-
-              // Clean up case-insensitive tracking
+          // Save meta data for a specific path (internal - uses within_fiber)
+          async function save_meta_internal(canonical_path, meta_data) {
+            return within_db_fiber(`meta:${canonical_path}`, async () => {
+              var filename = path_to_meta_filename(canonical_path)
+              var filepath = meta_dir + '/' + filename
+
+              meta_data.canonical_path = canonical_path
+              meta_cache.set(canonical_path, meta_data)
+              path_to_encoded.set(canonical_path, filename)
+
               if (!is_case_sensitive) {
-                var ifile_path_component = file_path_component.toLowerCase()
-                var icomponent = component.toLowerCase()
-                var icomponent_set = node.icomponent_to_ifile_path_components.get(icomponent)
-                if (icomponent_set) {
-                  icomponent_set.delete(ifile_path_component)
-                  if (!icomponent_set.size) {
-                    node.icomponent_to_ifile_path_components.delete(icomponent)
-                  }
+                var icomponent = filename.toLowerCase()
+                if (!icomponent_to_paths.has(icomponent)) {
+                  icomponent_to_paths.set(icomponent, new Set())
                 }
+                icomponent_to_paths.get(icomponent).add(canonical_path)
               }
-            } else {
-              node = node.component_to_node.get(component)
-              if (!node) break
-            }
+
+              await storage.writeFile(filepath, JSON.stringify(meta_data, null, 2))
+            })
           }
-        }
 
-        // Handle file deletions - clean up metadata
-        if (event === 'unlink') {
-          var canonical_path = get_canonical_path(file_path)
-          await meta_storage.delete(canonical_path)
-        }
+          // Delete meta data for a specific path (internal - uses within_fiber)
+          async function delete_meta_internal(canonical_path) {
+            return within_db_fiber(`meta:${canonical_path}`, async () => {
+              var filename = path_to_meta_filename(canonical_path)
+              var filepath = meta_dir + '/' + filename
+
+              meta_cache.delete(canonical_path)
+              path_to_encoded.delete(canonical_path)
 
-        // Notify callback for file changes
-        if (event === 'add' || event === 'change') {
-          var canonical_path = get_canonical_path(file_path)
+              if (!is_case_sensitive) {
+                var icomponent = filename.toLowerCase()
+                var paths = icomponent_to_paths.get(icomponent)
+                if (paths) {
+                  paths.delete(canonical_path)
+                  if (paths.size === 0) {
+                    icomponent_to_paths.delete(icomponent)
+                  }
+                }
+              }
 
-          // Don't call callback if this event was anticipated from db.write
-          if (!anticipated_events.has(canonical_path)) {
-            check_file_and_callback(fullpath, canonical_path)
+              try {
+                await storage.unlink(filepath)
+              } catch (e) {
+                if (e.code !== 'ENOENT') throw e
+              }
+            })
           }
-        }
-      }
 
-      // Shared logic for checking file mtime and triggering callback
-      function check_file_and_callback(fullpath, canonical_path) {
-        within_fiber(`db:${canonical_path}`, async () => {
-          try {
-            var stats = await require('fs').promises.stat(fullpath, { bigint: true })
-            var meta = meta_storage.get(canonical_path)
+          // Load existing metadata from disk
+          async function load_all_meta() {
+            try {
+              var files = await storage.readdir(meta_dir)
+              for (var file of files) {
+                // Meta files all start with "!" (the swapped leading "/");
+                // anything else, like the change log, isn't one
+                if (!file.startsWith('!')) continue
+                try {
+                  var content = await storage.readFile(meta_dir + '/' + file, 'utf8')
+                  var data = JSON.parse(content)
+                  if (data.canonical_path) {
+                    meta_cache.set(data.canonical_path, data)
+                    path_to_encoded.set(data.canonical_path, file)
+
+                    if (!is_case_sensitive) {
+                      var icomponent = file.toLowerCase()
+                      if (!icomponent_to_paths.has(icomponent)) {
+                        icomponent_to_paths.set(icomponent, new Set())
+                      }
+                      icomponent_to_paths.get(icomponent).add(data.canonical_path)
+                    }
+                  }
+                } catch (error) {
+                  logger.error('url-file-db: failed to load meta file', { file, error })
+                }
+              }
+            } catch (error) {
+              if (error.code !== 'ENOENT') {
+                logger.error('url-file-db: failed to load metadata', { meta_dir, error })
+              }
+            }
+          }
 
-            // Trigger callback if:
-            // 1. Never seen before (no metadata)
-            // 2. File is newer than our last recorded mtime
-            // Compare as BigInt for accurate nanosecond comparison
-            var meta_mtime_ns = meta && meta.mtime_ns ? BigInt(meta.mtime_ns) : null
-            var should_trigger = !meta ||
-                                 !meta_mtime_ns ||
-                                 stats.mtimeNs > meta_mtime_ns
+          // Load all metadata on initialization
+          await load_all_meta()
 
-            if (should_trigger) {
-              if (cb) cb(db, canonical_path)
-              // Update the metadata with new mtime
-              await meta_storage.mark_as_seen(canonical_path, stats.mtimeNs)
+          // (Unless another store is reading these files to migrate them)
+          for (var other_path of [meta_log_path, meta_snapshot_path, meta_sqlite_path]) {
+            if (meta_store_options.type === 'files' && await exists(other_path, storage)) {
+              logger.warn('url-file-db: meta_dir also has another meta store, which is ignored',
+                { meta_dir, file: other_path })
             }
-          } catch (e) {
-            // File was deleted, clean up metadata
-            await meta_storage.delete(canonical_path)
           }
-        })
-      }
 
-      // -------------------------------------------------------------------------
-      // Define db methods BEFORE starting chokidar so callbacks can use them
-      // -------------------------------------------------------------------------
+          // Return the meta storage API
+          return {
+            get(canonical_path) {
+              return meta_cache.get(canonical_path)
+            },
 
-      // -------------------------------------------------------------------------
-      // db.read
-      // -------------------------------------------------------------------------
+            async set(canonical_path, meta_data) {
+              await save_meta_internal(canonical_path, meta_data)
+            },
 
-      db.read = async path => {
-        var canonical_path = get_canonical_path(path)
-
-        return within_fiber(`db:${canonical_path}`, async () => {
-          var components = decode_path(path)
-          var node = root
-          var fullpath = base_dir
+            async delete(canonical_path) {
+              await delete_meta_internal(canonical_path)
+            },
 
-          // Navigate to the target node
-          for (var component of components) {
-            node = node.component_to_node.get(component)
-            if (!node) return null
-            if (node.directory_promise) await node.directory_promise
-            fullpath += '/' + node.file_path_component
-          }
+            has_been_seen(canonical_path) {
+              return meta_cache.has(canonical_path)
+            },
 
-          // Directories store content in index file
-          if (node.directory_promise) fullpath += '/index'
+            get_all_paths() {
+              return Array.from(meta_cache.keys())
+            },
 
-          try {
-            return await db._readFile(fullpath)
-          } catch (e) {
-            return null
+            async close() {}
           }
-        })
-      }
-
-      // -------------------------------------------------------------------------
-      // db.delete
-      // -------------------------------------------------------------------------
-
-      db.delete = async path => {
-        var canonical_path = get_canonical_path(path)
-
-        return within_fiber(`db:${canonical_path}`, async () => {
-          var components = decode_path(path)
+        }
 
-          var node = root
-          var fullpath = base_dir
-          var parent_node = null
-          var last_component = null
+        // Keeps startup fast and inode usage flat with many resources. Every
+        // set or delete appends the path's whole new meta (null when deleted)
+        // to meta.log as a JSON line, so replaying the log is idempotent. After
+        // compact_after appends (default 10000), and on close, the cache is
+        // written to meta.snapshot (one meta per line, renamed into place) and
+        // the log starts over. Startup reads the snapshot, then replays the log.
+        // Appends and compaction share one fiber, so they stay in order.
+        async function log_meta_storage({ compact_after = 10000 }) {
+          var meta_cache = new Map()
+          var log_length = 0  // Appends since the last snapshot
+          var within_log = func => within_db_fiber(`meta-log:${meta_log_path}`, func)
+
+          if (!follower) await storage.mkdir(meta_dir, { recursive: true })
+
+          var snapshot = await read_json_lines(meta_snapshot_path)
+          var log = await read_json_lines(meta_log_path)
+
+          if (!snapshot && !log) {
+            await migrate_meta_files(async metas => {
+              for (var meta of metas) meta_cache.set(meta.canonical_path, meta)
+              await write_snapshot()
+            })
+          } else {
+            // Left over from a migration cut short; the snapshot has them
+            await remove_meta_files()
+          }
 
-          // Navigate to the target node
-          for (var i = 0; i < components.length; i++) {
-            var component = components[i]
-            parent_node = node
-            last_component = component
-            node = node.component_to_node.get(component)
+          for (var meta of snapshot || []) meta_cache.set(meta.canonical_path, meta)
+          for (var entry of log || []) apply(entry)
+          log_length = log ? log.length : 0
 
-            if (!node) return false
+          function apply(entry) {
+            if (entry.meta) meta_cache.set(entry.canonical_path, entry.meta)
+            else meta_cache.delete(entry.canonical_path)
+          }
 
-            if (node.directory_promise) await node.directory_promise
-            fullpath += '/' + node.file_path_component
+          // Resolves to the parsed lines of a file, or null if it doesn't exist.
+          // Skips lines that don't parse, like one cut short by a crash.
+          async function read_json_lines(path) {
+            try {
+              var content = await storage.readFile(path, 'utf8')
+            } catch (e) {
+              if (is_missing(e)) return null
+              throw e
+            }
+            var entries = []
+            for (var line of content.split('\n')) {
+              if (!line) continue
+              try {
+                entries.push(JSON.parse(line))
+              } catch (e) {
+                logger.warn('url-file-db: skipped a corrupt meta log line', { path })
+              }
+            }
+            return entries
           }
 
-          // Directories store content in index file
-          if (node.directory_promise) {
-            fullpath += '/index'
+          async function write_snapshot() {
+            var temp_path = meta_snapshot_path + '.tmp'
+            var lines = Array.from(meta_cache.values(), meta => JSON.stringify(meta) + '\n')
+            await storage.writeFile(temp_path, lines.join(''))
+            await storage.rename(temp_path, meta_snapshot_path)
           }
 
-          try {
-            // Temporarily remove read-only protection if needed for deletion
-            if (await is_read_only(fullpath)) {
-              await set_read_only(fullpath, false)
-            }
+          // Must run within the log fiber
+          async function compact() {
+            await write_snapshot()
+            await storage.writeFile(meta_log_path, '')
+            logger.debug('url-file-db: compacted the meta log',
+              { entries: meta_cache.size, appends: log_length })
+            log_length = 0
+          }
 
-            // Remove node from parent's tree (only for files, not directories)
-            if (!node.directory_promise && parent_node && last_component) {
-              parent_node.component_to_node.delete(last_component)
+          function append(canonical_path, meta) {
+            return within_log(async () => {
+              await storage.appendFile(meta_log_path, JSON.stringify({ canonical_path, meta }) + '\n')
+              if (++log_length >= compact_after) await compact()
+            })
+          }
 
-              // Clean up case-insensitive tracking
-              if (!is_case_sensitive) {
-                var icomponent = last_component.toLowerCase()
-                var ifile_path_component = node.file_path_component.toLowerCase()
-                var icomponent_set = parent_node.icomponent_to_ifile_path_components.get(icomponent)
-                if (icomponent_set) {
-                  icomponent_set.delete(ifile_path_component)
-                  if (!icomponent_set.size) {
-                    parent_node.icomponent_to_ifile_path_components.delete(icomponent)
-                  }
-                }
-              }
+          return {
+            get(canonical_path) {
+              return meta_cache.get(canonical_path)
+            },
+
+            async set(canonical_path, meta_data) {
+              meta_data.canonical_path = canonical_path
+              meta_cache.set(canonical_path, meta_data)
+              await append(canonical_path, meta_data)
+            },
+
+            async delete(canonical_path) {
+              if (!meta_cache.has(canonical_path)) return
+              meta_cache.delete(canonical_path)
+              await append(canonical_path, null)
+            },
+
+            has_been_seen(canonical_path) {
+              return meta_cache.has(canonical_path)
+            },
+
+            get_all_paths() {
+              return Array.from(meta_cache.keys())
+            },
+
+            // Leaves a fresh snapshot, so the next startup has no log to replay
+            async close() {
+              if (!follower) await within_log(() => log_length && compact())
             }
+          }
+        }
 
-            await db._unlink(fullpath)
-
-            // Delete metadata when file is deleted
-            await meta_storage.delete(canonical_path)
-
-            return true
+        // Metadata in a SQLite database (meta_dir/meta.sqlite unless path is
+        // given) through Node's built-in node:sqlite, so there is no native
+        // dependency. Nothing is loaded at startup: reads query the database,
+        // which node:sqlite does synchronously. The fields the db records have
+        // their own indexed columns, so query() with a prefix (a range on the
+        // primary key) and changed_since (the mtime_ns index) is cheap. Custom
+        // fields are kept as JSON in the data column. The database file
+        // bypasses the storage adapter, so meta_dir must be on the filesystem.
+        async function sqlite_meta_storage({ path = meta_sqlite_path }) {
+          try {
+            var { DatabaseSync } = require('node:sqlite')
           } catch (e) {
-            return false
+            throw new Error('url-file-db: meta_store sqlite needs node:sqlite (Node 22.5 or later)')
           }
-        })
-      }
-
-      // -------------------------------------------------------------------------
-      // db.write
-      // -------------------------------------------------------------------------
 
-      db.write = async (path, content) => {
-        var canonical_path = get_canonical_path(path)
+          // A follower reads the database its leader keeps
+          if (follower) {
+            if (!await exists(path, storage)) {
+              throw new Error(`url-file-db: a follower needs an existing meta_store database: ${path}`)
+            }
+            var sqlite = new DatabaseSync(path, { readOnly: true })
+          } else {
+            await storage.mkdir(meta_dir, { recursive: true })
+            var sqlite = new DatabaseSync(path)
+          }
+          if (!follower) sqlite.exec(`
+            PRAGMA journal_mode = WAL;
+            CREATE TABLE IF NOT EXISTS meta (
+              canonical_path TEXT PRIMARY KEY,
+              mtime_ns INTEGER,
+              hash TEXT,
+              read_only INTEGER,
+              last_seen INTEGER,
+              data TEXT NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS meta_mtime_ns ON meta (mtime_ns);
+            CREATE INDEX IF NOT EXISTS meta_hash ON meta (hash);
+            CREATE INDEX IF NOT EXISTS meta_read_only ON meta (read_only);
+          `)
+
+          // Fields with their own column, when they have the expected type
+          // (otherwise they stay in data, like custom fields)
+          var columns = {
+            mtime_ns: { valid: x => /^\d+$/.test(x), to_sql: x => BigInt(x), from_sql: x => '' + x },
+            hash: { valid: x => typeof x === 'string', to_sql: x => x, from_sql: x => x },
+            read_only: { valid: x => typeof x === 'boolean', to_sql: x => x ? 1 : 0, from_sql: x => !!x },
+            last_seen: { valid: x => Number.isSafeInteger(x), to_sql: x => x, from_sql: x => Number(x) }
+          }
 
-        return within_fiber(`db:${canonical_path}`, async () => {
-          var components = decode_path(path)
-          var node = root
-          var fullpath = base_dir
+          function to_row(canonical_path, meta) {
+            var row = { canonical_path, data: {} }
+            for (var name in columns) row[name] = null
+            for (var [name, value] of Object.entries(meta)) {
+              if (name === 'canonical_path') continue
+              if (columns[name] && columns[name].valid(value)) row[name] = columns[name].to_sql(value)
+              else row.data[name] = value
+            }
+            row.data = JSON.stringify(row.data)
+            return row
+          }
 
-          // Build path and create missing directories/nodes
-          for (var i = 0; i < components.length; i++) {
-            var component = components[i]
+          function from_row(row) {
+            var meta = { canonical_path: row.canonical_path, ...JSON.parse(row.data) }
+            for (var name in columns) {
+              if (row[name] !== null) meta[name] = columns[name].from_sql(row[name])
+            }
+            return meta
+          }
 
-            // Create new node if needed
-            if (!node.component_to_node.has(component)) {
-              var file_path_component = encode_file_path_component(component)
+          // Reads integers as BigInts, so nanosecond mtimes keep every digit
+          function prepare(sql) {
+            var statement = sqlite.prepare(sql)
+            statement.setReadBigInts(true)
+            return statement
+          }
 
-              // Handle case collisions on case-insensitive filesystems
-              if (!is_case_sensitive) {
-                var icomponent = component.toLowerCase()
-                var ifile_path_components
+          var statements = {
+            get: prepare('SELECT * FROM meta WHERE canonical_path = ?'),
+            has: prepare('SELECT 1 FROM meta WHERE canonical_path = ?'),
+            any: prepare('SELECT 1 FROM meta LIMIT 1'),
+            set: prepare(`INSERT OR REPLACE INTO meta (canonical_path, mtime_ns, hash, read_only, last_seen, data)
+                          VALUES ($canonical_path, $mtime_ns, $hash, $read_only, $last_seen, $data)`),
+            delete: prepare('DELETE FROM meta WHERE canonical_path = ?'),
+            paths: prepare('SELECT canonical_path FROM meta ORDER BY canonical_path')
+          }
 
-                if (node.icomponent_to_ifile_path_components.has(icomponent)) {
-                  ifile_path_components = node.icomponent_to_ifile_path_components.get(icomponent)
-                } else {
-                  ifile_path_components = new Set()
-                  node.icomponent_to_ifile_path_components.set(icomponent, ifile_path_components)
-                }
+          function set(canonical_path, meta) {
+            statements.set.run(to_row(canonical_path, meta))
+          }
 
-                file_path_component = encode_to_avoid_icase_collision(file_path_component, ifile_path_components)
-                ifile_path_components.add(file_path_component.toLowerCase())
+          if (!statements.any.get()) {
+            await migrate_meta_files(async metas => {
+              sqlite.exec('BEGIN')
+              try {
+                for (var meta of metas) set(meta.canonical_path, meta)
+                sqlite.exec('COMMIT')
+              } catch (e) {
+                sqlite.exec('ROLLBACK')
+                throw e
               }
+            })
+          } else {
+            // Left over from a migration cut short; the database has them
+            await remove_meta_files()
+          }
 
-              var new_node = create_node(file_path_component)
-              node.component_to_node.set(component, new_node)
-              fullpath += '/' + file_path_component
-
-              // Create directory on filesystem (for non-leaf nodes)
-              if (i < components.length - 1) {
-                new_node.directory_promise = db._mkdir(fullpath, { recursive: true })
-                await new_node.directory_promise
+          return {
+            get(canonical_path) {
+              var row = statements.get.get(canonical_path)
+              return row ? from_row(row) : undefined
+            },
+
+            async set(canonical_path, meta_data) {
+              meta_data.canonical_path = canonical_path
+              set(canonical_path, meta_data)
+            },
+
+            async delete(canonical_path) {
+              statements.delete.run(canonical_path)
+            },
+
+            has_been_seen(canonical_path) {
+              return !!statements.has.get(canonical_path)
+            },
+
+            get_all_paths() {
+              return statements.paths.all().map(row => row.canonical_path)
+            },
+
+            query(options = {}) {
+              var prefix = options.prefix || '/'
+              var where = []
+              var params = {}
+              if (prefix !== '/') {
+                // Paths below prefix sort between prefix + '/' and prefix + '0'
+                where.push('(canonical_path = $prefix OR (canonical_path >= $from AND canonical_path < $to))')
+                Object.assign(params, { prefix, from: prefix + '/', to: prefix + '0' })
               }
-
-              node = new_node
-            } else {
-              node = node.component_to_node.get(component)
-
-              // Convert file to directory if needed
-              if (i < components.length - 1 && !node.directory_promise) {
-                var dir_fullpath = fullpath + '/' + node.file_path_component
-                var convert_canonical = get_canonical_path(components.slice(0, i + 1).join('/'))
-
-                node.directory_promise = within_fiber(`db:${convert_canonical}`, async () => {
-                  // Read existing content, delete file, create directory, write to index
-                  var old_content = await db._readFile(dir_fullpath)
-                  await db._unlink(dir_fullpath)
-                  await db._mkdir(dir_fullpath, { recursive: true })
-                  await db._writeFile(dir_fullpath + '/index', old_content)
-                })
-
-                await node.directory_promise
+              if (options.changed_since != null) {
+                where.push('mtime_ns > $since')
+                params.since = BigInt(options.changed_since)
               }
+              var sql = 'SELECT * FROM meta' + (where.length ? ' WHERE ' + where.join(' AND ') : '') +
+                ' ORDER BY canonical_path'
+              return prepare(sql).all(params).map(row => ({ canonical_path: row.canonical_path, meta: from_row(row) }))
+            },
 
-              if (node.directory_promise) await node.directory_promise
-              fullpath += '/' + node.file_path_component
+            async close() {
+              sqlite.close()
             }
           }
+        }
 
-          // Directories store content in index file
-          if (node.directory_promise) fullpath += '/index'
+        // -----------------------------------------------------------------------------
+        // Change Log
+        // -----------------------------------------------------------------------------
+
+        // Every change gets the next sequence number and is appended to the
+        // change log, one JSON object per line, so db.changes can replay it.
+        // Once the log reaches options.change_log_bytes (default 1 MiB) it
+        // becomes changes.old.log, replacing the previous one, so the last
+        // one to two logs' worth of changes are kept.
+        var change_log_path = meta_dir + '/changes.log'
+        var old_change_log_path = meta_dir + '/changes.old.log'
+        var change_log_bytes = options.change_log_bytes || 1024 * 1024
+        var change_log_stats = await exists(change_log_path, storage)
+        var change_log_size = change_log_stats ? change_log_stats.size : 0
+        var last_change = await read_last_change(change_log_path) || await read_last_change(old_change_log_path)
+        var change_seq = last_change ? last_change.seq : 0
+
+        // Changes not in the log yet: queued, or left over from a failed append
+        var unlogged = []
+        var append_failed = false
+
+        // Live db.changes iterators, as {queue, wake}
+        var change_feeds = new Set()
+
+        // Returns the changes in a log in order. A partly written line (from a
+        // crash or a failed append) is skipped.
+        async function read_change_log(path) {
+          try {
+            var content = await storage.readFile(path, 'utf8')
+          } catch (e) {
+            if (e.code === 'ENOENT') return []
+            throw e
+          }
+          return content.split('\n').map(parse_change).filter(x => x)
+        }
 
-          // Temporarily remove read-only protection if needed for writing
-          var was_read_only = await is_read_only(fullpath)
-          if (was_read_only) {
-            await set_read_only(fullpath, false)
+        function parse_change(line) {
+          try {
+            return line ? JSON.parse(line) : null
+          } catch (e) {
+            return null  // Incomplete line
           }
+        }
 
-          // Mark as anticipated to suppress callback (increment reference count)
-          anticipated_events.set(canonical_path, (anticipated_events.get(canonical_path) || 0) + 1)
+        // Returns the last complete change in a log, or null, reading back
+        // from the end only as far as it needs to
+        async function read_last_change(path) {
+          var stats = await exists(path, storage)
+          if (!stats || !stats.size) return null
+
+          for (var window = 4096; ; window *= 2) {
+            var start = Math.max(stats.size - window, 0)
+            var chunks = []
+            for await (var chunk of storage.createReadStream(path, { start, end: stats.size - 1 })) chunks.push(chunk)
+            var lines = Buffer.concat(chunks).toString('utf8').split('\n')
+
+            // The first line may be cut off, unless the window starts the file
+            for (var i = lines.length - 1; i >= (start ? 1 : 0); i--) {
+              var entry = parse_change(lines[i])
+              if (entry) return entry
+            }
+            if (!start) return null
+          }
+        }
 
-          await db._writeFile(fullpath, content)
+        // Appends the unlogged changes, in order. If that fails they stay
+        // unlogged and the next append tries them again, so the log has no
+        // holes. Must run within the change log's fiber.
+        async function append_changes() {
+          if (follower || !unlogged.length) return
+          var entries = unlogged.slice()
 
-          // Record metadata with ns modified time
+          // A failed append may have left a partial line to end first
+          var data = (append_failed ? '\n' : '') + entries.map(x => JSON.stringify(x) + '\n').join('')
           try {
-            var stats = await require('fs').promises.stat(fullpath, { bigint: true })
-            await meta_storage.mark_as_seen(canonical_path, stats.mtimeNs)
+            await storage.appendFile(change_log_path, data)
+            append_failed = false
           } catch (e) {
-            // If file doesn't exist after write, delete metadata
-            await meta_storage.delete(canonical_path)
+            if (e.code !== 'ENOENT') {
+              append_failed = true
+              throw e
+            }
+            // meta_dir was removed, so there is no log to keep
           }
+          unlogged.splice(0, entries.length)
 
-          // Restore read-only status if it was set before
-          if (was_read_only) {
-            await set_read_only(fullpath, true)
+          change_log_size += Buffer.byteLength(data)
+          if (change_log_size >= change_log_bytes) {
+            try {
+              await storage.rename(change_log_path, old_change_log_path)
+              change_log_size = 0
+            } catch (error) {
+              // The changes are logged either way; try again after the next append
+              logger.warn('url-file-db: could not rotate the change log', { error })
+            }
           }
+        }
 
-          // Remove from anticipated events after chokidar detection window (decrement reference count)
-          setTimeout(() => {
-            var count = anticipated_events.get(canonical_path) || 0
+        // Resolves once the changes so far are in the log. The changes are
+        // made by then, so a failed append doesn't fail the operation: it is
+        // reported, and the next append tries the entries again.
+        function changes_logged() {
+          return within_db_fiber(`changes:${change_log_path}`, append_changes)
+            .catch(error => logger.error('url-file-db: error appending to the change log', { error }))
+        }
+
+        // Logs the change and hands it to the live db.changes iterators.
+        // Appends go through one fiber per log, so they stay in order.
+        function log_change(entry) {
+          if (!follower) {
+            unlogged.push(entry)
+            changes_logged()
+          }
+          for (var feed of change_feeds) {
+            feed.queue.push(entry)
+            if (feed.wake) feed.wake()
+          }
+        }
+
+        // -----------------------------------------------------------------------------
+        // Version History (opt-in with options.history)
+        // -----------------------------------------------------------------------------
+        //
+        // Each version's content is stored once, named by its hash, in
+        // meta_dir/history/objects. Each path has an index file listing its
+        // versions, named by the hash of the canonical path so any path is a
+        // safe filename. Deleting a resource keeps its history.
+
+        var history = !options.history ? null : await (async () => {
+          var retention = {
+            max_versions: 100,
+            max_age_ms: Infinity,
+            ...(options.history === true ? {} : options.history)
+          }
+
+          var history_dir = meta_dir + '/history'
+          var objects_dir = history_dir + '/objects'
+          if (!follower) await storage.mkdir(objects_dir, { recursive: true })
+
+          var path_to_versions = new Map()  // canonical_path -> [{version, mtime_ns, time, size}], oldest first
+          var object_refs = new Map()  // version -> number of index entries using it
+
+          function index_path(canonical_path) {
+            return history_dir + '/' + require('crypto').createHash('sha256').update(canonical_path).digest('hex') + '.json'
+          }
+
+          function object_path(version) {
+            return objects_dir + '/' + version
+          }
+
+          function add_refs(versions, delta) {
+            for (var { version } of versions) {
+              object_refs.set(version, (object_refs.get(version) || 0) + delta)
+            }
+          }
+
+          async function save_index(canonical_path) {
+            var versions = path_to_versions.get(canonical_path) || []
+            if (versions.length) {
+              await storage.writeFile(index_path(canonical_path), JSON.stringify({ canonical_path, versions }, null, 2))
+            } else {
+              path_to_versions.delete(canonical_path)
+              await storage.unlink(index_path(canonical_path)).catch(() => {})
+            }
+          }
+
+          // Removes objects no index entry uses anymore
+          async function collect_garbage(versions) {
+            for (var { version } of versions) {
+              if (object_refs.get(version) > 0) continue
+              object_refs.delete(version)
+              await storage.unlink(object_path(version)).catch(() => {})
+            }
+          }
+
+          // Copies the file into the object store, hashing as it goes, and
+          // returns the hash. An external edit during the copy can't leave an
+          // object whose content doesn't match its name.
+          async function copy_to_objects(fullpath) {
+            var temp_path = get_temp_path(object_path('x'))
+            var hash = create_hash()
+            var size = 0
+            try {
+              var out = storage.createWriteStream(temp_path)
+              var input = db._createReadStream(fullpath)
+              input.on('data', chunk => {
+                hash.update(chunk)
+                size += chunk.length
+              })
+              await require('stream').promises.pipeline(input, out)
+              var version = hash.digest('hex')
+              await storage.rename(temp_path, object_path(version))
+              return { version, size }
+            } catch (e) {
+              await storage.unlink(temp_path).catch(() => {})
+              throw e
+            }
+          }
+
+          // Load the indexes (a follower may find no history_dir yet)
+          var history_files = await storage.readdir(history_dir).catch(e => {
+            if (is_missing(e)) return []
+            throw e
+          })
+          for (var file of history_files) {
+            if (!file.endsWith('.json')) continue
+            try {
+              var data = JSON.parse(await storage.readFile(history_dir + '/' + file, 'utf8'))
+              path_to_versions.set(data.canonical_path, data.versions)
+              add_refs(data.versions, 1)
+            } catch (error) {
+              logger.error('url-file-db: failed to load history file', { file, error })
+            }
+          }
+
+          // All changes to the history go through one fiber, since paths
+          // share objects
+          var within_history = func => within_db_fiber(`history:${history_dir}`, func)
+
+          return {
+            // Records the file's current content as the newest version of
+            // canonical_path, unless it already is, then applies retention
+            async record(canonical_path, fullpath, mtime_ns) {
+              // A follower sees the versions its leader records at startup
+              if (follower) return
+              return within_history(async () => {
+                var { version, size } = await copy_to_objects(fullpath)
+                var versions = path_to_versions.get(canonical_path) || []
+                var newest = versions[versions.length - 1]
+                if (newest && newest.version === version) return
+
+                var entry = { version, mtime_ns: '' + mtime_ns, time: Date.now(), size }
+                versions = versions.concat([entry])
+                add_refs([entry], 1)
+
+                // Retention: the newest version always stays
+                var oldest_time = entry.time - retention.max_age_ms
+                var dropped = versions.slice(0, -1).filter((x, i) =>
+                  i < versions.length - retention.max_versions || x.time < oldest_time)
+                versions = versions.filter(x => !dropped.includes(x))
+                add_refs(dropped, -1)
+
+                path_to_versions.set(canonical_path, versions)
+                await save_index(canonical_path)
+                await collect_garbage(dropped)
+              })
+            },
+
+            // Has the newest recorded version of canonical_path this version?
+            is_newest(canonical_path, version) {
+              var versions = path_to_versions.get(canonical_path) || []
+              return versions.length > 0 && versions[versions.length - 1].version === version
+            },
+
+            // Versions of canonical_path, newest first
+            list(canonical_path) {
+              return (path_to_versions.get(canonical_path) || []).slice().reverse().map(x => ({ ...x }))
+            },
+
+            // Content of a version of canonical_path, or null if it has none
+            async read(canonical_path, version) {
+              var versions = path_to_versions.get(canonical_path) || []
+              if (!versions.some(x => x.version === version)) return null
+              return within_history(() => storage.readFile(object_path(version)))
+            },
+
+            // Moves the history of from over to to, after to's own
+            async move(from, to) {
+              return within_history(async () => {
+                var moved = path_to_versions.get(from)
+                if (!moved) return
+                path_to_versions.set(to, (path_to_versions.get(to) || []).concat(moved))
+                path_to_versions.delete(from)
+                await save_index(to)
+                await save_index(from)
+              })
+            }
+          }
+        })()
+
+        // -----------------------------------------------------------------------------
+        // Quotas and usage
+        // -----------------------------------------------------------------------------
+        //
+        // The size of every resource is tracked in memory, and the usage of
+        // every prefix with resources below it is updated along with it, so
+        // db.usage doesn't walk anything. The initial scan fills it in, and
+        // from then on the db's own writes and deletes and the watcher keep it
+        // current. Writes that would take a file past options.max_file_size,
+        // the db past options.max_total_bytes or a prefix in options.quotas
+        // ({[prefix]: {max_bytes, max_files}}) past its quota reject with
+        // QuotaExceeded.
+
+        var max_file_size = options.max_file_size || Infinity
+        var max_total_bytes = options.max_total_bytes || Infinity
+        var quotas = Object.entries(options.quotas || {}).map(([prefix, quota]) => ({
+          prefix: get_canonical_path(prefix),
+          max_bytes: quota.max_bytes || Infinity,
+          max_files: quota.max_files || Infinity
+        }))
+
+        var sizes = new Map()  // canonical_path -> bytes
+        var usage_by_prefix = new Map()  // canonical_path prefix -> {files, bytes}
+
+        // Records the size of a resource (null once it is gone)
+        function set_size(canonical_path, size) {
+          var old = sizes.get(canonical_path)
+          if (size == null) sizes.delete(canonical_path)
+          else sizes.set(canonical_path, size)
+
+          var files = (size == null ? 0 : 1) - (old === undefined ? 0 : 1)
+          var bytes = (size || 0) - (old || 0)
+          if (!files && !bytes) return
+
+          // The prefixes of /a/b are /, /a and /a/b
+          var components = canonical_path.split('/').slice(1).filter(x => x)
+          for (var i = 0; i <= components.length; i++) {
+            var prefix = '/' + components.slice(0, i).join('/')
+            var usage = usage_by_prefix.get(prefix) || { files: 0, bytes: 0 }
+            usage.files += files
+            usage.bytes += bytes
+            if (usage.files) usage_by_prefix.set(prefix, usage)
+            else usage_by_prefix.delete(prefix)
+          }
+        }
+
+        // Throws QuotaExceeded if giving these paths these sizes (null for
+        // deletes) would go past a limit. A prefix already past its limit
+        // (e.g. one lowered since) only stops changes that would add to it.
+        function check_quota(changes) {
+          for (var [canonical_path, size] of changes) {
+            if (size != null && size > max_file_size) {
+              throw quota_exceeded(canonical_path, 'max_file_size', null, max_file_size)
+            }
+          }
+
+          var limits = [{ prefix: '/', max_bytes: max_total_bytes, max_files: Infinity, total: true }].concat(quotas)
+          for (var limit of limits) {
+            var affected = changes.filter(([canonical_path]) => is_within(canonical_path, limit.prefix))
+            if (!affected.length) continue
+
+            var before = db.usage(limit.prefix)
+            var after = { ...before }
+            for (var [canonical_path, size] of affected) {
+              var old = sizes.get(canonical_path)
+              after.files += (size == null ? 0 : 1) - (old === undefined ? 0 : 1)
+              after.bytes += (size || 0) - (old || 0)
+            }
+
+            if (after.bytes > limit.max_bytes && after.bytes > before.bytes) {
+              throw quota_exceeded(affected[0][0], limit.total ? 'max_total_bytes' : 'max_bytes', limit.prefix, limit.max_bytes)
+            }
+            if (after.files > limit.max_files && after.files > before.files) {
+              throw quota_exceeded(affected[0][0], 'max_files', limit.prefix, limit.max_files)
+            }
+          }
+        }
+
+        function quota_exceeded(canonical_path, limit, prefix, max) {
+          return new QuotaExceeded(
+            `url-file-db: writing ${canonical_path} would exceed ${limit} (${max})` + (prefix ? ` for ${prefix}` : ''),
+            { canonical_path, limit, prefix, max })
+        }
+
+        // Checks changes against the limits, then counts them in the usage
+        // until the operation records the real sizes, so concurrent writes
+        // can't both take the last of a quota. A file being replaced keeps its
+        // old size until then if that is bigger, and deletes only count once
+        // done. Returns a function that takes the reservation back, for
+        // operations that fail. Must run within the db fibers of the paths.
+        function reserve_quota(changes) {
+          check_quota(changes)
+          var previous = changes.map(([canonical_path]) => [canonical_path, sizes.get(canonical_path)])
+          for (var [canonical_path, size] of changes) {
+            if (size != null) set_size(canonical_path, Math.max(size, sizes.get(canonical_path) || 0))
+          }
+          return () => {
+            for (var [canonical_path, size] of previous) set_size(canonical_path, size)
+          }
+        }
+
+        // Track canonical_paths with anticipated events from db.write operations
+        // These events should not trigger the user callback
+        // Uses reference counting to handle multiple rapid writes
+        var anticipated_events = new Map()
+
+        // Pending timers that will decrement anticipated_events
+        var anticipated_timers = new Set()
+
+        function anticipate_event(canonical_path) {
+          anticipated_events.set(canonical_path, (anticipated_events.get(canonical_path) || 0) + 1)
+        }
+
+        // Remove from anticipated events after chokidar detection window (decrement reference count)
+        function release_anticipated_event(canonical_path) {
+          var timer = setTimeout(() => {
+            anticipated_timers.delete(timer)
+            var count = anticipated_events.get(canonical_path) || 0
             if (count <= 1) {
               anticipated_events.delete(canonical_path)
             } else {
               anticipated_events.set(canonical_path, count - 1)
             }
-          }, stability_threshold)
-        })
-      }
+          }, stability_threshold)
+          anticipated_timers.add(timer)
+        }
+
+        // Finish any batch a crash interrupted, before looking at the files (a
+        // follower's leader may be in the middle of one)
+        if (!follower) await recover_batches()
+
+        // Initialize root node
+        var root = create_node('/')
+        root.directory_promise = Promise.resolve()
+
+        // -------------------------------------------------------------------------
+        // Helper function to ensure node exists in parent
+        // -------------------------------------------------------------------------
+
+        function ensure_node_exists(parent_node, file_path_component) {
+          var component = decode_component(file_path_component)
+
+          // Create node if it doesn't exist
+          if (!parent_node.component_to_node.has(component)) {
+            parent_node.component_to_node.set(component, create_node(file_path_component))
+          }
+
+          // Track case-insensitive mappings
+          if (!is_case_sensitive) {
+            var ifile_path_component = file_path_component.toLowerCase()
+            var icomponent = component.toLowerCase()
+
+            if (!parent_node.icomponent_to_ifile_path_components.has(icomponent)) {
+              parent_node.icomponent_to_ifile_path_components.set(icomponent, new Set())
+            }
+            parent_node.icomponent_to_ifile_path_components.get(icomponent).add(ifile_path_component)
+          }
+
+          return parent_node.component_to_node.get(component)
+        }
+
+        // -------------------------------------------------------------------------
+        // Helper function to remove a node from its parent
+        // -------------------------------------------------------------------------
+
+        function remove_child_node(parent_node, component) {
+          var node = parent_node.component_to_node.get(component)
+          if (!node) return
+          parent_node.component_to_node.delete(component)
+
+          // Clean up case-insensitive tracking
+          if (!is_case_sensitive) {
+            var icomponent = component.toLowerCase()
+            var ifile_path_component = node.file_path_component.toLowerCase()
+            var icomponent_set = parent_node.icomponent_to_ifile_path_components.get(icomponent)
+            if (icomponent_set) {
+              icomponent_set.delete(ifile_path_component)
+              if (!icomponent_set.size) {
+                parent_node.icomponent_to_ifile_path_components.delete(icomponent)
+              }
+            }
+          }
+        }
+
+        // -------------------------------------------------------------------------
+        // File Watcher
+        // -------------------------------------------------------------------------
+
+        async function chokidar_handler(fullpath, event) {
+          if (closed) return
+          logger.debug('url-file-db: watcher event', { event, path: fullpath })
+
+          if (!fullpath.startsWith(base_dir + '/')) {
+            return
+          }
+
+          // Temp files of in-progress atomic writes are not resources
+          if (is_temp_file(fullpath)) return
+
+          // Optional filter callback to decide whether to handle this event
+          if (filter_cb && !filter_cb(fullpath, event)) {
+            return
+          }
+
+          var file_path = fullpath.slice(base_dir.length)
+          var file_path_components = file_path.slice(1).split('/')
+
+          // Handle add/addDir events - build the node tree
+          if (event.startsWith('add')) {
+            var node = root
+            for (var i = 0; i < file_path_components.length; i++) {
+              var file_path_component = file_path_components[i]
+              node = ensure_node_exists(node, file_path_component)
+              if (node.file_path_component !== file_path_component) {
+                throw new Error(`url-file-db: node tree disagrees with the disk at ${fullpath}; db.fsck() reports why`)
+              }
+            }
+
+            // Mark directories, if the path still is one once its fiber is
+            // free: a late addDir (e.g. from converting a file that
+            // collapse_directory has turned back since) must not make it a
+            // directory again
+            if (event === 'addDir') {
+              var dir_node = node
+              await within_path_fiber(get_canonical_path(file_path), async () => {
+                var stats = await exists(fullpath, storage)
+                if (stats && stats.isDirectory() && !dir_node.directory_promise) {
+                  dir_node.directory_promise = Promise.resolve()
+                }
+              })
+            }
+          }
+
+          // Handle unlink/unlinkDir events - remove from node tree, unless the
+          // path is back already (e.g. a file converted to a directory by db.write).
+          // The node is looked up before checking the disk: if the path is
+          // recreated meanwhile, the new node that takes its place must stay.
+          if (event.startsWith('unlink')) {
+            var parent_node = root
+            var node = null
+            for (var i = 0; i < file_path_components.length && parent_node; i++) {
+              var component = decode_component(file_path_components[i])
+              if (i === file_path_components.length - 1) {
+                node = parent_node.component_to_node.get(component)
+              } else {
+                parent_node = parent_node.component_to_node.get(component)
+              }
+            }
+
+            if (node && !await exists(fullpath, storage) &&
+                parent_node.component_to_node.get(component) === node) {
+              remove_child_node(parent_node, component)
+            }
+          }
+
+          // Handle file deletions - clean up metadata and notify callback
+          if (event === 'unlink') {
+            check_deleted_and_callback(get_canonical_path(file_path))
+          }
+
+          // A removed directory takes every resource below it along
+          if (event === 'unlinkDir') {
+            var dir_canonical_path = get_canonical_path(file_path)
+            for (var canonical_path of meta_storage.get_all_paths()) {
+              if (canonical_path === dir_canonical_path ||
+                  canonical_path.startsWith(dir_canonical_path + '/')) {
+                check_deleted_and_callback(canonical_path)
+              }
+            }
+          }
+
+          // Notify callback for file changes
+          if (event === 'add' || event === 'change') {
+            var canonical_path = get_canonical_path(file_path)
+
+            // Don't call callback if this event was anticipated from db.write
+            if (anticipated_events.has(canonical_path)) {
+              logger.debug('url-file-db: suppressed event from own write', { event, canonical_path })
+            } else {
+              check_file_and_callback(fullpath, canonical_path)
+            }
+          }
+        }
+
+        // Report a change made outside of the db to the user callback as
+        // (db, canonical_path, event), and to the db.on_change listeners
+        function notify(type, canonical_path, mtime_ns, version) {
+          logger.debug('url-file-db: external change', { type, canonical_path })
+          if (offline_changes) {
+            offline_changes[{ add: 'added', change: 'modified', delete: 'deleted' }[type]].push(canonical_path)
+          }
+          var event = emit_change(type, canonical_path, mtime_ns, version)
+          if (cb) cb(db, canonical_path, event)
+        }
+
+        // The changes notify() reports until create() finishes reconciling,
+        // which are the ones made while the db was not running
+        var offline_changes = { added: [], modified: [], deleted: [] }
+
+        // Listeners for every change, whether made through the db or not
+        var change_listeners = new Set()
+
+        // Listeners for db.close()
+        var close_listeners = new Set()
+
+        // Logs the change and calls the db.on_change listeners with
+        // {seq, type: 'add'|'change'|'delete', canonical_path, mtime_ns, version}
+        // and returns that event. version is the content hash (null for deletes).
+        function emit_change(type, canonical_path, mtime_ns, version) {
+          return emit_event(describe_change(type, canonical_path, mtime_ns, version))
+        }
+
+        function describe_change(type, canonical_path, mtime_ns, version) {
+          return {
+            type,
+            canonical_path,
+            mtime_ns: mtime_ns == null ? null : '' + mtime_ns,
+            version: version || null
+          }
+        }
+
+        // Gives the event the next seq, logs it and calls the listeners
+        function emit_event(event) {
+          event = { seq: ++change_seq, ...event }
+          log_change(event)
+          for (var listener of change_listeners) {
+            try {
+              listener(event)
+            } catch (error) {
+              logger.error('url-file-db: error in change listener', { error })
+            }
+          }
+          return event
+        }
+
+        // Shared logic for checking file mtime and triggering callback
+        function check_file_and_callback(fullpath, canonical_path) {
+          in_background(within_db_fiber(`db:${canonical_path}`, () => check_file(fullpath, canonical_path)),
+            `checking ${canonical_path}`)
+        }
+
+        // If the file is new or newer than its metadata, record it and report
+        // an add or change event. Must run within the db fiber for canonical_path.
+        async function check_file(fullpath, canonical_path) {
+          try {
+            var stats = await storage.stat(fullpath)
+
+            // The file may have been converted to a directory since the event
+            if (stats.isDirectory()) {
+              fullpath += '/index'
+              stats = await storage.stat(fullpath)
+            }
+          } catch (e) {
+            // File is gone (or moved, e.g. into a directory's index)
+            return await forget_if_deleted(canonical_path)
+          }
+          set_size(canonical_path, stats.size)
+
+          var meta = meta_storage.get(canonical_path)
+
+          // Trigger callback if:
+          // 1. Never seen before (no metadata)
+          // 2. File is newer than our last recorded mtime
+          // Compare as BigInt for accurate nanosecond comparison
+          var meta_mtime_ns = meta && meta.mtime_ns ? BigInt(meta.mtime_ns) : null
+          var should_trigger = !meta ||
+                               !meta_mtime_ns ||
+                               stats.mtimeNs > meta_mtime_ns
+
+          if (should_trigger) {
+            try {
+              var hash = await hash_file(fullpath)
+              var content_type = await content_type_of(canonical_path, fullpath)
+            } catch (e) {
+              return await forget_if_deleted(canonical_path)
+            }
+
+            // A newer mtime with the same bytes (e.g. a touch) is not a change
+            var changed = !meta || meta.hash !== hash
+            if (changed) {
+              notify(meta ? 'change' : 'add', canonical_path, stats.mtimeNs, hash)
+            }
+            // Update the metadata with new mtime, hash and (if first seen) type
+            await meta_storage.mark_as_seen(canonical_path, stats.mtimeNs, hash, content_type)
+            if (changed && history) await history.record(canonical_path, fullpath, stats.mtimeNs)
+          }
+        }
+
+        // Shared logic for noticing deletions made outside of the db
+        function check_deleted_and_callback(canonical_path) {
+          in_background(within_db_fiber(`db:${canonical_path}`, () => forget_if_deleted(canonical_path)),
+            `checking ${canonical_path}`)
+        }
+
+        // If a known resource no longer exists on disk, drop its metadata and
+        // report a delete event. Must run within the db fiber for canonical_path.
+        async function forget_if_deleted(canonical_path) {
+          var meta = meta_storage.get(canonical_path)
+          if (!meta) return
+
+          var fullpath = await get_fullpath(canonical_path)
+          if (fullpath && await exists(fullpath, storage)) return
+
+          set_size(canonical_path, null)
+          await meta_storage.delete(canonical_path)
+          notify('delete', canonical_path, meta.mtime_ns)
+        }
+
+        // Look up where a resource lives on disk using the node tree. Returns
+        // null if the tree doesn't know it. Must run within the db fiber for
+        // canonical_path, so it only waits on the directory_promise of ancestors.
+        async function get_fullpath(canonical_path) {
+          var components = decode_path(canonical_path)
+          var node = root
+          var fullpath = base_dir
+
+          for (var i = 0; i < components.length; i++) {
+            node = node.component_to_node.get(components[i])
+            if (!node) return null
+            if (node.directory_promise && i < components.length - 1) await node.directory_promise
+            fullpath += '/' + node.file_path_component
+          }
+
+          // Directories store content in index file
+          if (node.directory_promise) fullpath += '/index'
+
+          return fullpath
+        }
+
+        // Content digests, used as versions (see db.get_version)
+        function create_hash() {
+          return require('crypto').createHash(hash_algorithm)
+        }
+
+        async function hash_file(fullpath) {
+          var hash = create_hash()
+          for await (var chunk of db._createReadStream(fullpath)) hash.update(chunk)
+          return hash.digest('hex')
+        }
+
+        // The media type recorded for a resource or, if there is none, inferred
+        // from the path's extension or else sniffed from the first bytes
+        async function content_type_of(canonical_path, fullpath) {
+          var meta = meta_storage.get(canonical_path)
+          if (meta && meta.content_type) return meta.content_type
+
+          var type = get_content_type(canonical_path)
+          if (type) return type
+
+          var head = []
+          for await (var chunk of db._createReadStream(fullpath, { start: 0, end: 511 })) head.push(chunk)
+          return sniff_content_type(Buffer.concat(head))
+        }
+
+        // The content hash of the file at fullpath, taken from metadata unless
+        // the file changed since (e.g. an external edit not yet processed)
+        async function current_version(canonical_path, fullpath, stats) {
+          var meta = meta_storage.get(canonical_path)
+          if (meta && meta.hash && meta.mtime_ns === '' + stats.mtimeNs) return meta.hash
+          return await hash_file(fullpath)
+        }
+
+        // Checks the conditions of a conditional write or delete against the
+        // current resource. Returns a Conflict for the first one that fails
+        // (a ReadOnly for if_writable), or null. Must run within the db fiber
+        // for canonical_path.
+        //   if_match - version (or array of versions) the resource must have;
+        //              '*' means it must exist
+        //   if_none_match - version(s) the resource must not have; '*' means
+        //                   it must not exist (create-only)
+        //   if_unmodified_since - mtime_ns the resource must not be newer than
+        //   if_writable - the resource must not have the read-only flag
+        async function check_preconditions(canonical_path, options) {
+          var { if_match, if_none_match, if_unmodified_since, if_writable } = options
+          if (if_match == null && if_none_match == null && if_unmodified_since == null && !if_writable) return null
+
+          var fullpath = await get_fullpath(canonical_path)
+          var stats = fullpath && await exists(fullpath, storage)
+          if (if_writable && stats && await storage.is_read_only(fullpath)) {
+            return new ReadOnly(`url-file-db: ${canonical_path} is read-only`, { canonical_path })
+          }
+          var version = stats ? await current_version(canonical_path, fullpath, stats) : null
+
+          var matches = condition => condition === '*' ? !!stats :
+            !!stats && [].concat(condition).includes(version)
+          var conflict = condition => new Conflict(
+            `url-file-db: precondition ${condition} failed for ${canonical_path}`,
+            { canonical_path, condition, version })
+
+          if (if_match != null && !matches(if_match)) return conflict('if_match')
+          if (if_none_match != null && matches(if_none_match)) return conflict('if_none_match')
+          if (if_unmodified_since != null &&
+              (!stats || stats.mtimeNs > BigInt(if_unmodified_since))) {
+            return conflict('if_unmodified_since')
+          }
+          return null
+        }
+
+        // Write to a temp file in the same directory, then rename it over the
+        // target, so readers never see a partially written file. Returns what
+        // write_temp_file resolves to.
+        async function write_file_atomic(fullpath, write_temp_file) {
+          var temp_path = get_temp_path(fullpath)
+          try {
+            var result = await write_temp_file(temp_path)
+            await db._rename(temp_path, fullpath)
+            return result
+          } catch (e) {
+            await db._unlink(temp_path).catch(() => {})
+            throw e
+          }
+        }
+
+        // -------------------------------------------------------------------------
+        // Define db methods BEFORE starting chokidar so callbacks can use them
+        // -------------------------------------------------------------------------
+
+        // -------------------------------------------------------------------------
+        // db.read
+        // -------------------------------------------------------------------------
+
+        // Resolves to the content (Buffer), or null if not found; other
+        // failures reject (see errors.js). With
+        // options.version, reads that version from the history instead. With
+        // options.with_meta, resolves to {content, content_type, version,
+        // mtime} instead of just the content.
+        db.read = async (path, options = {}) => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+
+          if (options.version !== undefined) {
+            var versions = get_history()
+            return within_path_fiber(canonical_path, () => versions.read(canonical_path, options.version))
+          }
+
+          return within_path_fiber(canonical_path, async () => {
+            var components = decode_path(path)
+            var node = root
+            var fullpath = base_dir
+
+            // Navigate to the target node
+            for (var component of components) {
+              node = node.component_to_node.get(component)
+              if (!node) return null
+              if (node.directory_promise) await node.directory_promise
+              fullpath += '/' + node.file_path_component
+            }
+
+            // Directories store content in index file
+            if (node.directory_promise) fullpath += '/index'
+
+            try {
+              var content = await db._readFile(fullpath)
+              if (!options.with_meta) return content
+
+              var stats = await storage.stat(fullpath)
+              return {
+                content,
+                content_type: await content_type_of(canonical_path, fullpath),
+                version: create_hash().update(content).digest('hex'),
+                mtime: new Date(Number(stats.mtimeNs / 1000000n))
+              }
+            } catch (e) {
+              if (is_missing(e)) return null
+              throw e
+            }
+          })
+        }
+
+        // -------------------------------------------------------------------------
+        // db.history / db.revert
+        // -------------------------------------------------------------------------
+
+        function get_history() {
+          if (!history) throw new Error('url-file-db: history is not enabled')
+          return history
+        }
+
+        // Resolves to the recorded versions of a path, newest first, as
+        // {version, mtime_ns, time, size}. Deleted paths keep their history.
+        db.history = async path => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+          var versions = get_history()
+          return within_path_fiber(canonical_path, () => versions.list(canonical_path))
+        }
+
+        // Writes an earlier version back as the current content (which is
+        // itself recorded as a new version). Returns false if the path has no
+        // such version.
+        db.revert = async (path, version) => {
+          assert_open()
+          assert_writable(get_canonical_path(path))
+          var content = await db.read(path, { version })
+          if (content === null) return false
+          await db.write(path, content)
+          return true
+        }
+
+        // -------------------------------------------------------------------------
+        // db.delete
+        // -------------------------------------------------------------------------
+
+        // Options are the preconditions of check_preconditions; if one fails,
+        // rejects with a Conflict and deletes nothing.
+        db.delete = async (path, options = {}) => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+          assert_writable(canonical_path)
+
+          var deleted = await within_path_fiber(canonical_path, async () => {
+            var conflict = await check_preconditions(canonical_path, options)
+            if (conflict) throw conflict
+            return delete_resource(canonical_path)
+          })
+
+          if (deleted) await collapse_directories(decode_path(canonical_path))
+          return deleted
+        }
+
+        // Shared by db.delete and db.delete_tree. Returns true if the file was
+        // deleted. Must run within the db fiber for canonical_path.
+        async function delete_resource(canonical_path) {
+          var components = decode_path(canonical_path)
+
+          var node = root
+          var fullpath = base_dir
+          var parent_node = null
+          var last_component = null
+
+          // Navigate to the target node
+          for (var i = 0; i < components.length; i++) {
+            var component = components[i]
+            parent_node = node
+            last_component = component
+            node = node.component_to_node.get(component)
+
+            if (!node) return false
+
+            if (node.directory_promise) await node.directory_promise
+            fullpath += '/' + node.file_path_component
+          }
+
+          // Directories store content in index file
+          if (node.directory_promise) {
+            fullpath += '/index'
+          }
+
+          try {
+            // Temporarily remove read-only protection if needed for deletion
+            var was_read_only = await storage.is_read_only(fullpath)
+            if (was_read_only) await storage.set_read_only(fullpath, false)
+
+            await db._unlink(fullpath)
+          } catch (e) {
+            if (is_missing(e)) return false
+            if (was_read_only) await storage.set_read_only(fullpath, true).catch(() => {})
+            throw e
+          }
+
+          // Remove node from parent's tree (only for files, not directories)
+          if (!node.directory_promise && parent_node && last_component) {
+            remove_child_node(parent_node, last_component)
+          }
+
+          // Delete metadata when file is deleted
+          set_size(canonical_path, null)
+          var meta = meta_storage.get(canonical_path)
+          await meta_storage.delete(canonical_path)
+
+          emit_change('delete', canonical_path, meta && meta.mtime_ns)
+          await changes_logged()
+          return true
+        }
+
+        // -------------------------------------------------------------------------
+        // db.delete_tree
+        // -------------------------------------------------------------------------
+
+        // Deletes every resource at or below prefix, with its metadata and
+        // node-tree entries, and returns their canonical paths. Operations on
+        // paths in the subtree wait until it is done; operations already queued
+        // there finish first.
+        db.delete_tree = async prefix => {
+          assert_open()
+          var prefix_canonical = get_canonical_path(prefix)
+          assert_writable(prefix_canonical)
+
+          var release = await lock_subtree(prefix_canonical)
+          try {
+            // Collect resources from the node tree, plus any metadata left over
+            var canonical_paths = new Set()
+            var prefix_components = decode_path(prefix_canonical)
+            var node = find_node(prefix_components)
+            if (node) collect_resources(node, prefix_components, canonical_paths)
+            for (var canonical_path of meta_storage.get_all_paths()) {
+              if (is_within(canonical_path, prefix_canonical)) canonical_paths.add(canonical_path)
+            }
+
+            // Deepest first, so collapsing below can remove directories as it goes
+            var sorted = Array.from(canonical_paths).sort((a, b) =>
+              decode_path(b).length - decode_path(a).length || (a < b ? -1 : 1))
+
+            var deleted = []
+            for (var canonical_path of sorted) {
+              var was_deleted = await within_db_fiber(`db:${canonical_path}`, () => delete_resource(canonical_path))
+              if (was_deleted) {
+                deleted.push(canonical_path)
+              } else {
+                await meta_storage.delete(canonical_path)
+              }
+            }
+          } finally {
+            release()
+          }
+
+          // Collapsing locks each directory's subtree in turn
+          for (var canonical_path of sorted) {
+            await collapse_directories(decode_path(canonical_path))
+          }
+
+          return deleted.sort()
+        }
+
+        // Makes operations on paths at or below prefix wait, and lets those
+        // already queued there finish. Resolves to a function that releases
+        // the lock.
+        async function lock_subtree(prefix) {
+          var lock = subtree_lock(prefix, true)
+          while (lock) {
+            await lock
+            lock = subtree_lock(prefix, true)
+          }
+
+          var release
+          var entry = {
+            prefix,
+            promise: new Promise(resolve => release = resolve)
+          }
+          subtree_locks.add(entry)
+
+          while (true) {
+            var chains = Object.entries(within_fiber.chains || {})
+              .filter(([id]) => id.startsWith('db:') && is_within(id.slice(3), prefix))
+              .map(([id, chain]) => chain)
+            for (var op of multi_path_ops) {
+              if (op.canonical_paths.some(p => is_within(p, prefix))) chains.push(op.promise)
+            }
+            if (!chains.length) break
+            await Promise.allSettled(chains)
+          }
+
+          return () => {
+            subtree_locks.delete(entry)
+            release()
+          }
+        }
+
+        // Add the canonical path of every node at or below node to out.
+        // A directory's own path stands for its index file.
+        function collect_resources(node, components, out) {
+          out.add(components_to_canonical_path(components))
+          for (var [component, child] of node.component_to_node) {
+            if (component === 'index') continue
+            collect_resources(child, components.concat(component), out)
+          }
+        }
+
+        // -------------------------------------------------------------------------
+        // Directory collapsing
+        // -------------------------------------------------------------------------
+
+        // The reverse of the file-to-directory conversion in db.write. After
+        // the resource at components is removed, walk up from it: remove
+        // directories that are now empty, and turn a directory holding only its
+        // index back into a plain file. Each level runs in its own fiber, and
+        // the caller must not hold the fiber of any of these paths.
+        async function collapse_directories(components) {
+          for (var depth = components.length; depth > 0; depth--) {
+            var result = await collapse_directory(components.slice(0, depth))
+            if (result !== 'removed' && result !== 'not_directory') break
+          }
+        }
+
+        async function collapse_directory(components) {
+          var canonical_path = components_to_canonical_path(components)
+
+          // A writer below this path may already have walked past its node,
+          // so let those finish, and hold new ones back, while collapsing
+          var release = await lock_subtree(canonical_path)
+          try {
+            return await collapse_directory_locked(components, canonical_path)
+          } finally {
+            release()
+          }
+        }
+
+        function collapse_directory_locked(components, canonical_path) {
+          return within_db_fiber(`db:${canonical_path}`, async () => {
+            var parent_node = root
+            var fullpath = base_dir
+            for (var component of components.slice(0, -1)) {
+              parent_node = parent_node.component_to_node.get(component)
+              if (!parent_node) return 'not_directory'
+              if (parent_node.directory_promise) await parent_node.directory_promise
+              fullpath += '/' + parent_node.file_path_component
+            }
+
+            var last_component = components[components.length - 1]
+            var node = parent_node.component_to_node.get(last_component)
+            if (!node || !node.directory_promise) return 'not_directory'
+            await node.directory_promise
+            fullpath += '/' + node.file_path_component
+
+            try {
+              var entries = await db._readdir(fullpath)
+            } catch (e) {
+              return 'kept'
+            }
+
+            // Empty directory: remove it
+            if (!entries.length) {
+              try {
+                await db._rmdir(fullpath)
+              } catch (e) {
+                return 'kept'  // Something was written into it meanwhile
+              }
+              remove_child_node(parent_node, last_component)
+              return 'removed'
+            }
+
+            if (entries.length !== 1 || entries[0] !== 'index') return 'kept'
+
+            // Only the index is left: move it aside, remove the directory and
+            // move it back as a plain file. Writers below this path wait on
+            // directory_promise and then convert it again if they need to.
+            anticipate_event(canonical_path)
+            var collapsed = false
+            node.directory_promise = (async () => {
+              var temp_path = get_temp_path(fullpath)
+              await db._rename(fullpath + '/index', temp_path)
+              try {
+                await db._rmdir(fullpath)
+              } catch (e) {
+                await db._rename(temp_path, fullpath + '/index')
+                return
+              }
+              await db._rename(temp_path, fullpath)
+              collapsed = true
+            })()
+
+            try {
+              await node.directory_promise
+            } finally {
+              release_anticipated_event(canonical_path)
+              if (collapsed) {
+                node.directory_promise = null
+                node.component_to_node.clear()
+                node.icomponent_to_ifile_path_components.clear()
+              } else {
+                node.directory_promise = Promise.resolve()
+              }
+            }
+
+            return collapsed ? 'collapsed' : 'kept'
+          })
+        }
+
+        // -------------------------------------------------------------------------
+        // db.write
+        // -------------------------------------------------------------------------
+
+        // Options are the preconditions of check_preconditions; if one fails,
+        // rejects with a Conflict and writes nothing. options.content_type
+        // records the media type; without it, the recorded type is kept (or
+        // inferred, for a new resource).
+        db.write = async (path, content, options = {}) => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+          assert_writable(canonical_path)
+
+          await within_path_fiber(canonical_path, async () => {
+            var conflict = await check_preconditions(canonical_path, options)
+            if (conflict) throw conflict
+
+            var unreserve = reserve_quota([[canonical_path, Buffer.byteLength(content)]])
+            try {
+              var fullpath = await prepare_write_path(decode_path(path))
+              await replace_file(canonical_path, fullpath, async temp_path => {
+                await db._writeFile(temp_path, content)
+                return create_hash().update(content).digest('hex')
+              }, options.content_type)
+            } catch (e) {
+              unreserve()
+              await drop_unwritten_node(canonical_path).catch(() => {})
+              throw e
+            }
+          })
+        }
+
+        // -------------------------------------------------------------------------
+        // db.read_stream
+        // -------------------------------------------------------------------------
+
+        // Resolves to a readable stream of the file (or the byte range
+        // options.start..options.end, inclusive), or null if not found.
+        // The fiber is only held until the file is open: writes rename a new
+        // file into place, so the stream keeps reading the version it opened.
+        // Takes the preconditions of db.write, rejecting with a Conflict, so
+        // a caller can make sure it opens the version it looked at.
+        db.read_stream = async (path, options = {}) => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+
+          return within_path_fiber(canonical_path, async () => {
+            var conflict = await check_preconditions(canonical_path, options)
+            if (conflict) throw conflict
+
+            var fullpath = await get_fullpath(canonical_path)
+            if (!fullpath) return null
+
+            var stream = db._createReadStream(fullpath, { start: options.start, end: options.end })
+            return new Promise((resolve, reject) => {
+              stream.once('open', () => resolve(stream))
+              stream.once('error', e => is_missing(e) ? resolve(null) : reject(e))
+            })
+          })
+        }
+
+        // -------------------------------------------------------------------------
+        // db.write_stream
+        // -------------------------------------------------------------------------
+
+        // Resolves to a writable stream that replaces the file's content.
+        // Content goes to a temp file and is renamed into place when the stream
+        // ends, so 'finish' means the new content is visible. Other operations
+        // on this path wait until the stream finishes or is destroyed.
+        // Takes the same options as db.write, rejecting with a Conflict. Quotas
+        // are checked as the bytes arrive, failing the stream with
+        // QuotaExceeded once it has too many.
+        db.write_stream = async (path, options = {}) => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+          assert_writable(canonical_path)
+
+          return new Promise((resolve, reject) => {
+            within_path_fiber(canonical_path, async () => {
+              try {
+                var conflict = await check_preconditions(canonical_path, options)
+                if (conflict) return reject(conflict)
+
+                var unreserve = reserve_quota([[canonical_path, 0]])
+                var fullpath = await prepare_write_path(decode_path(path))
+              } catch (e) {
+                if (unreserve) unreserve()
+                await drop_unwritten_node(canonical_path).catch(() => {})
+                return reject(from_storage_error(e, canonical_path))
+              }
+              var size = 0
+
+              var out = null
+              var written = replace_file(canonical_path, fullpath, temp_path => new Promise((done, fail) => {
+                var file_stream = db._createWriteStream(temp_path)
+                file_stream.on('error', fail)
+                var hash = create_hash()
+
+                out = new (require('stream').Writable)({
+                  write(chunk, encoding, callback) {
+                    size += chunk.length
+                    try {
+                      check_quota([[canonical_path, size]])
+                    } catch (e) {
+                      return callback(e)
+                    }
+                    set_size(canonical_path, Math.max(size, sizes.get(canonical_path)))
+                    hash.update(chunk, encoding)
+                    file_stream.write(chunk, encoding, e => callback(e && from_storage_error(e, canonical_path)))
+                  },
+                  final(callback) {
+                    file_stream.once('close', () => done(hash.digest('hex')))
+                    file_stream.end()
+                    written.then(() => callback(), e => callback(from_storage_error(e, canonical_path)))
+                  },
+                  destroy(e, callback) {
+                    // Abandons the write if it hasn't ended yet, once the temp
+                    // file is closed so it can be cleaned up
+                    file_stream.destroy()
+                    require('stream').finished(file_stream, () => fail(e || new Error('url-file-db: write stream destroyed')))
+                    callback(e)
+                  }
+                })
+                resolve(out)
+              }), options.content_type)
+
+              try {
+                await written
+              } catch (e) {
+                e = from_storage_error(e, canonical_path)
+                unreserve()
+                await drop_unwritten_node(canonical_path).catch(() => {})
+                if (out) {
+                  if (!out.destroyed) out.destroy(e)
+                } else {
+                  reject(e)
+                }
+              }
+            })
+          })
+        }
+
+        // -------------------------------------------------------------------------
+        // db.rename
+        // -------------------------------------------------------------------------
+
+        // Moves a resource with a filesystem rename, carrying its metadata and
+        // read-only flag along. Returns true if moved, false if not found.
+        db.rename = async (from, to) => {
+          assert_open()
+          var from_canonical = get_canonical_path(from)
+          var to_canonical = get_canonical_path(to)
+          assert_writable(from_canonical)
+
+          if (from_canonical === to_canonical) {
+            return within_path_fiber(from_canonical, async () => {
+              var fullpath = await get_fullpath(from_canonical)
+              return !!(fullpath && await exists(fullpath, storage))
+            })
+          }
+
+          var renamed = await within_db_fibers([from_canonical, to_canonical], async () => {
+            var from_fullpath = await get_fullpath(from_canonical)
+            var from_stats = from_fullpath && await exists(from_fullpath, storage)
+            if (!from_stats) return false
+            check_quota([[from_canonical, null], [to_canonical, from_stats.size]])
+
+            // Moving /a to /a/b turns /a into a directory first, so look the
+            // source up again afterwards
+            var to_fullpath = await prepare_write_path(decode_path(to_canonical), new Set([from_canonical]))
+            from_fullpath = await get_fullpath(from_canonical)
+
+            anticipate_event(from_canonical)
+            anticipate_event(to_canonical)
+
+            try {
+              await db._rename(from_fullpath, to_fullpath)
+            } catch (e) {
+              await drop_unwritten_node(to_canonical).catch(() => {})
+              throw e
+            } finally {
+              release_anticipated_event(from_canonical)
+              release_anticipated_event(to_canonical)
+            }
+
+            // Directories keep their node for their children, files go away
+            var from_components = decode_path(from_canonical)
+            if (from_components.length) {
+              var last_component = from_components.pop()
+              var parent_node = root
+              for (var component of from_components) {
+                parent_node = parent_node.component_to_node.get(component)
+              }
+              if (!parent_node.component_to_node.get(last_component).directory_promise) {
+                remove_child_node(parent_node, last_component)
+              }
+            }
+
+            set_size(from_canonical, null)
+            set_size(to_canonical, from_stats.size)
+
+            // Move the metadata along (a rename keeps the mtime)
+            var meta = meta_storage.get(from_canonical)
+            var to_existed = meta_storage.has_been_seen(to_canonical)
+            await meta_storage.delete(from_canonical)
+            if (meta) {
+              await meta_storage.set(to_canonical, { ...meta })
+            } else {
+              var stats = await storage.stat(to_fullpath)
+              await meta_storage.mark_as_seen(to_canonical, stats.mtimeNs)
+            }
+            var to_meta = meta_storage.get(to_canonical)
+            if (history) {
+              await history.move(from_canonical, to_canonical).catch(error =>
+                logger.error('url-file-db: error moving history', { from_canonical, to_canonical, error }))
+            }
+
+            emit_change('delete', from_canonical, meta && meta.mtime_ns)
+            emit_change(to_existed ? 'change' : 'add', to_canonical, to_meta.mtime_ns, to_meta.hash)
+            await changes_logged()
+
+            return true
+          })
+
+          if (renamed) await collapse_directories(decode_path(from_canonical))
+          return renamed
+        }
+
+        // Run func within the db fibers of several canonical paths, taking them
+        // in sorted order so two multi-path operations can't deadlock
+        function within_db_fibers(canonical_paths, func) {
+          var lock = canonical_paths.map(subtree_lock).find(x => x)
+          if (lock) return lock.then(() => within_db_fibers(canonical_paths, func))
+
+          var ids = Array.from(new Set(canonical_paths)).sort()
+          var enter = i => i < ids.length ?
+            within_db_fiber(`db:${ids[i]}`, () => enter(i + 1)) :
+            func()
+
+          // The later fibers don't exist yet, so let db.delete_tree find this
+          var entry = { canonical_paths: ids, promise: enter(0) }
+          var done = () => multi_path_ops.delete(entry)
+          multi_path_ops.add(entry)
+          entry.promise.then(done, done)
+          return entry.promise
+        }
+
+        // -------------------------------------------------------------------------
+        // db.batch
+        // -------------------------------------------------------------------------
+
+        // Applies several writes and deletes all-or-nothing:
+        //   [{op: 'write', path, content}, {op: 'delete', path}, ...]
+        // Each op may also have the preconditions of db.write, and a write may
+        // have a content_type. New content is staged in temp files and replaced
+        // files are moved to backups, with a journal in meta_dir, so a failure
+        // (or a crash, see recover_batches) rolls everything back. Emits one 'batch' event for the whole batch.
+        db.batch = async ops => {
+          assert_open()
+          assert_writable()
+
+          var entries = ops.map(op => {
+            if (op.op !== 'write' && op.op !== 'delete') {
+              throw new Error(`url-file-db: unknown batch op: ${op.op}`)
+            }
+            return { op, canonical_path: get_canonical_path(op.path) }
+          })
+          var canonical_paths = entries.map(x => x.canonical_path)
+          if (new Set(canonical_paths).size !== canonical_paths.length) {
+            throw new Error('url-file-db: batch has the same path more than once')
+          }
+
+          await within_db_fibers(canonical_paths, async () => {
+            var unreserve = reserve_quota(entries.map(({ op, canonical_path }) =>
+              [canonical_path, op.op === 'write' ? Buffer.byteLength(op.content) : null]))
+            try {
+              await apply_batch(entries, new Set(canonical_paths))
+            } catch (e) {
+              unreserve()
+              for (var { op, canonical_path } of entries) {
+                if (op.op === 'write') await drop_unwritten_node(canonical_path).catch(() => {})
+              }
+              throw e
+            }
+          })
+
+          for (var { op, canonical_path } of entries) {
+            if (op.op === 'delete') await collapse_directories(decode_path(canonical_path))
+          }
+          return true
+        }
+
+        // Must run within the db fibers of all the batch's paths
+        async function apply_batch(entries, held_paths) {
+          for (var { op, canonical_path } of entries) {
+            var conflict = await check_preconditions(canonical_path, op)
+            if (conflict) throw conflict
+          }
+
+          // Deeper paths first: preparing /a/b may convert /a to a directory,
+          // which moves /a's file
+          var writes = entries.filter(x => x.op.op === 'write')
+            .sort((a, b) => decode_path(b.canonical_path).length - decode_path(a.canonical_path).length)
+          for (var entry of writes) {
+            entry.fullpath = await prepare_write_path(decode_path(entry.canonical_path), held_paths)
+          }
+          for (var entry of entries) {
+            if (entry.op.op === 'delete') entry.fullpath = await get_fullpath(entry.canonical_path)
+          }
+
+          var steps = []
+          for (var entry of entries) {
+            var existed = !!(entry.fullpath && await exists(entry.fullpath, storage))
+            if (entry.op.op === 'delete' && !existed) continue
+            steps.push({
+              op: entry.op.op,
+              canonical_path: entry.canonical_path,
+              fullpath: entry.fullpath,
+              staged: entry.op.op === 'write' ? get_temp_path(entry.fullpath) : null,
+              backup: existed ? get_temp_path(entry.fullpath) : null,
+              was_read_only: existed && await storage.is_read_only(entry.fullpath),
+              content: entry.op.content,
+              content_type: entry.op.content_type
+            })
+          }
+
+          var journal = {
+            path: `${meta_dir}/batch-${Math.random().toString(36).slice(2)}.journal`,
+            steps: steps.map(({ content, content_type, ...step }) => step)
+          }
+
+          // Written aside and renamed into place, so a crash leaves the
+          // previous state rather than a truncated journal
+          var save_journal = async state => {
+            await storage.writeFile(journal.path + '.tmp', JSON.stringify({ state, steps: journal.steps }, null, 2))
+            await storage.rename(journal.path + '.tmp', journal.path)
+          }
+
+          for (var step of steps) anticipate_event(step.canonical_path)
+          try {
+            await save_journal('staging')
+            for (var step of steps) {
+              if (step.op !== 'write') continue
+              await db._writeFile(step.staged, step.content)
+              step.hash = create_hash().update(step.content).digest('hex')
+            }
+
+            await save_journal('applying')
+            try {
+              for (var step of steps) {
+                if (step.backup) {
+                  if (step.was_read_only) await storage.set_read_only(step.fullpath, false)
+                  await db._rename(step.fullpath, step.backup)
+                }
+                if (step.staged) await db._rename(step.staged, step.fullpath)
+              }
+            } catch (e) {
+              await roll_back_batch(journal.steps)
+              throw e
+            }
+
+            await save_journal('committed')
+            for (var step of steps) {
+              if (step.backup) await db._unlink(step.backup).catch(() => {})
+            }
+          } finally {
+            for (var step of steps) {
+              if (step.staged) await db._unlink(step.staged).catch(() => {})
+              release_anticipated_event(step.canonical_path)
+            }
+            await storage.unlink(journal.path + '.tmp').catch(() => {})
+            await storage.unlink(journal.path).catch(() => {})
+          }
+
+          // Committed: bring the node tree, metadata and history up to date
+          var changes = []
+          for (var step of steps) {
+            var existed = meta_storage.has_been_seen(step.canonical_path)
+            if (step.op === 'delete') {
+              remove_file_node(decode_path(step.canonical_path))
+              set_size(step.canonical_path, null)
+              var meta = meta_storage.get(step.canonical_path)
+              await meta_storage.delete(step.canonical_path)
+              changes.push(describe_change('delete', step.canonical_path, meta && meta.mtime_ns))
+            } else {
+              if (step.was_read_only) await storage.set_read_only(step.fullpath, true)
+              var stats = await storage.stat(step.fullpath)
+              set_size(step.canonical_path, stats.size)
+              var content_type = step.content_type || await content_type_of(step.canonical_path, step.fullpath)
+              await meta_storage.mark_as_seen(step.canonical_path, stats.mtimeNs, step.hash, content_type)
+              await record_history(step.canonical_path, step.fullpath, stats.mtimeNs)
+              changes.push(describe_change(existed ? 'change' : 'add', step.canonical_path, stats.mtimeNs, step.hash))
+            }
+          }
+          if (changes.length) emit_event({ type: 'batch', changes })
+          await changes_logged()
+        }
+
+        // Undoes whatever part of a batch was applied: puts backups back and
+        // removes files the batch created
+        async function roll_back_batch(steps) {
+          for (var step of steps.slice().reverse()) {
+            if (step.backup && await exists(step.backup, storage)) {
+              await storage.rename(step.backup, step.fullpath)
+              if (step.was_read_only) await storage.set_read_only(step.fullpath, true)
+            } else if (!step.backup && step.staged && !await exists(step.staged, storage)) {
+              await storage.unlink(step.fullpath).catch(() => {})
+            }
+            if (step.staged) await storage.unlink(step.staged).catch(() => {})
+          }
+        }
+
+        // Finishes batches interrupted by a crash, from their journals: rolls
+        // back those that hadn't committed and cleans up after those that had
+        async function recover_batches() {
+          for (var file of await storage.readdir(meta_dir)) {
+            if (file.startsWith('batch-') && file.endsWith('.journal.tmp')) {
+              // A state that never made it into the journal
+              await storage.unlink(meta_dir + '/' + file)
+              continue
+            }
+            if (!file.startsWith('batch-') || !file.endsWith('.journal')) continue
+            var journal_path = meta_dir + '/' + file
+            try {
+              var journal = JSON.parse(await storage.readFile(journal_path, 'utf8'))
+            } catch (e) {
+              // Never finished writing, so nothing was applied yet
+              await storage.unlink(journal_path)
+              continue
+            }
+
+            if (journal.state === 'committed') {
+              for (var step of journal.steps) {
+                if (step.backup) await storage.unlink(step.backup).catch(() => {})
+                if (step.staged) await storage.unlink(step.staged).catch(() => {})
+              }
+            } else if (journal.state === 'applying') {
+              logger.warn('url-file-db: rolling back a batch interrupted while applying',
+                { journal: journal_path, paths: journal.steps.map(x => x.canonical_path) })
+              await roll_back_batch(journal.steps)
+            } else {
+              // Still staging: only temp files exist
+              for (var step of journal.steps) {
+                if (step.staged) await storage.unlink(step.staged).catch(() => {})
+              }
+            }
+            await storage.unlink(journal_path)
+          }
+        }
+
+        // Removes the node of a deleted file (directories keep theirs)
+        function remove_file_node(components) {
+          if (!components.length) return
+          var parent_node = root
+          for (var component of components.slice(0, -1)) {
+            parent_node = parent_node.component_to_node.get(component)
+            if (!parent_node) return
+          }
+          var last_component = components[components.length - 1]
+          var node = parent_node.component_to_node.get(last_component)
+          if (node && !node.directory_promise) remove_child_node(parent_node, last_component)
+        }
+
+        // After a failed write, drops the node prepare_write_path made for a
+        // file that never got written, so listings don't show it. Must run
+        // within the db fiber for canonical_path.
+        async function drop_unwritten_node(canonical_path) {
+          var fullpath = await get_fullpath(canonical_path)
+          if (fullpath && !await exists(fullpath, storage)) remove_file_node(decode_path(canonical_path))
+        }
+
+        // Walk to the node for components, creating missing nodes and
+        // directories and converting files to directories along the way.
+        // Returns the fullpath to write to. Must run within the db fiber for the
+        // target path; held_paths lists other canonical paths whose fibers the
+        // caller holds, so converting one of them doesn't wait on itself.
+        async function prepare_write_path(components, held_paths = new Set()) {
+          var node = root
+          var fullpath = base_dir
+
+          // Build path and create missing directories/nodes
+          for (var i = 0; i < components.length; i++) {
+            var component = components[i]
+
+            // Create new node if needed
+            if (!node.component_to_node.has(component)) {
+              var file_path_component = encode_file_path_component(component)
+
+              // Handle case collisions on case-insensitive filesystems
+              if (!is_case_sensitive) {
+                var icomponent = component.toLowerCase()
+                var ifile_path_components
+
+                if (node.icomponent_to_ifile_path_components.has(icomponent)) {
+                  ifile_path_components = node.icomponent_to_ifile_path_components.get(icomponent)
+                } else {
+                  ifile_path_components = new Set()
+                  node.icomponent_to_ifile_path_components.set(icomponent, ifile_path_components)
+                }
+
+                var avoided = encode_to_avoid_icase_collision(file_path_component, ifile_path_components)
+                if (avoided !== file_path_component) {
+                  logger.info('url-file-db: re-encoded file name to avoid a case collision',
+                    { component, file: avoided })
+                }
+                file_path_component = avoided
+                ifile_path_components.add(file_path_component.toLowerCase())
+              }
+
+              var new_node = create_node(file_path_component)
+              node.component_to_node.set(component, new_node)
+              fullpath += '/' + file_path_component
+
+              // Create directory on filesystem (for non-leaf nodes)
+              if (i < components.length - 1) {
+                new_node.directory_promise = db._mkdir(fullpath, { recursive: true })
+                try {
+                  await new_node.directory_promise
+                } catch (e) {
+                  remove_child_node(node, component)
+                  throw e
+                }
+              }
+
+              node = new_node
+            } else {
+              node = node.component_to_node.get(component)
+
+              // Wait for a pending conversion, or collapse back into a file
+              if (node.directory_promise) await node.directory_promise
+
+              // Convert file to directory if needed
+              if (i < components.length - 1 && !node.directory_promise) {
+                var dir_fullpath = fullpath + '/' + node.file_path_component
+                var convert_canonical = get_canonical_path(components.slice(0, i + 1).join('/'))
+
+                var convert = async (dir_fullpath) => {
+                  // Move file aside, create directory, move file into its index
+                  var temp_path = get_temp_path(dir_fullpath)
+                  await db._rename(dir_fullpath, temp_path)
+                  await db._mkdir(dir_fullpath, { recursive: true })
+                  await db._rename(temp_path, dir_fullpath + '/index')
+                }
+
+                node.directory_promise = held_paths.has(convert_canonical) ?
+                  convert(dir_fullpath) :
+                  within_db_fiber(`db:${convert_canonical}`, convert.bind(null, dir_fullpath))
+
+                try {
+                  await node.directory_promise
+                } catch (e) {
+                  node.directory_promise = null  // Still a file
+                  throw e
+                }
+              }
+
+              if (node.directory_promise) await node.directory_promise
+              fullpath += '/' + node.file_path_component
+            }
+          }
+
+          // Directories store content in index file
+          if (node.directory_promise) fullpath += '/index'
+
+          return fullpath
+        }
+
+        // Records the content now at fullpath in history. Only called once the
+        // change is made, so a failure is reported rather than failing it.
+        async function record_history(canonical_path, fullpath, mtime_ns) {
+          if (!history) return
+          await history.record(canonical_path, fullpath, mtime_ns).catch(error =>
+            logger.error('url-file-db: error recording history', { canonical_path, error }))
+        }
+
+        // Atomically replace the file at fullpath with whatever write_temp_file
+        // writes to the temp path it is given; write_temp_file resolves to the
+        // content hash. Keeps the read-only flag, records metadata (with
+        // content_type, if given) and suppresses the watcher callback for this
+        // write.
+        async function replace_file(canonical_path, fullpath, write_temp_file, content_type) {
+          var existed = meta_storage.has_been_seen(canonical_path)
+
+          // Keep the content about to be overwritten, if history doesn't yet
+          if (history && existed) {
+            var meta = meta_storage.get(canonical_path)
+            if (!meta.hash || !history.is_newest(canonical_path, meta.hash)) {
+              await history.record(canonical_path, fullpath, meta.mtime_ns).catch(e => {
+                if (e.code !== 'ENOENT') throw e
+              })
+            }
+          }
+
+          // Temporarily remove read-only protection if needed for writing
+          var was_read_only = await storage.is_read_only(fullpath)
+          if (was_read_only) {
+            await storage.set_read_only(fullpath, false)
+          }
+
+          // Mark as anticipated to suppress callback (increment reference count)
+          anticipate_event(canonical_path)
+
+          try {
+            var hash = await write_file_atomic(fullpath, write_temp_file)
+          } catch (e) {
+            if (was_read_only) await storage.set_read_only(fullpath, true).catch(() => {})
+            throw e
+          } finally {
+            release_anticipated_event(canonical_path)
+          }
+
+          try {
+            try {
+              var stats = await storage.stat(fullpath)
+            } catch (e) {
+              if (e.code !== 'ENOENT') throw e
+              // The file is already gone again, so forget its metadata
+              set_size(canonical_path, null)
+              await meta_storage.delete(canonical_path)
+              return
+            }
 
-      // -------------------------------------------------------------------------
-      // db.is_read_only
-      // -------------------------------------------------------------------------
+            // Record metadata with ns modified time
+            set_size(canonical_path, stats.size)
+            content_type = content_type || await content_type_of(canonical_path, fullpath)
+            await meta_storage.mark_as_seen(canonical_path, stats.mtimeNs, hash, content_type)
+            emit_change(existed ? 'change' : 'add', canonical_path, stats.mtimeNs, hash)
+            await changes_logged()
+            await record_history(canonical_path, fullpath, stats.mtimeNs)
+          } finally {
+            // Restore read-only status if it was set before
+            if (was_read_only) {
+              await storage.set_read_only(fullpath, true)
+            }
+          }
+        }
 
-      db.is_read_only = async path => {
-        var canonical_path = get_canonical_path(path)
+        // -------------------------------------------------------------------------
+        // db.get_version
+        // -------------------------------------------------------------------------
 
-        return within_fiber(`db:${canonical_path}`, async () => {
-          var components = decode_path(path)
-          var node = root
-          var fullpath = base_dir
+        // Resolves to the content hash (hex) of the resource, suitable as a
+        // strong ETag, or null if the resource doesn't exist. Records the hash
+        // if the metadata predates content hashing.
+        db.get_version = async path => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
 
-          // Navigate to the target node
-          for (var component of components) {
-            node = node.component_to_node.get(component)
-            if (!node) return false
-            if (node.directory_promise) await node.directory_promise
-            fullpath += '/' + node.file_path_component
+          return within_path_fiber(canonical_path, async () => {
+            var fullpath = await get_fullpath(canonical_path)
+            var stats = fullpath && await exists(fullpath, storage)
+            if (!stats) return null
+
+            try {
+              var hash = await current_version(canonical_path, fullpath, stats)
+            } catch (e) {
+              if (is_missing(e)) return null
+              throw e
+            }
+
+            var meta = meta_storage.get(canonical_path)
+            if (meta && !meta.hash && meta.mtime_ns === '' + stats.mtimeNs) {
+              await meta_storage.update(canonical_path, { hash })
+            }
+            return hash
+          })
+        }
+
+        // -------------------------------------------------------------------------
+        // db.stat
+        // -------------------------------------------------------------------------
+
+        // Resolves to {size, mtime_ns, version, content_type, read_only} for a
+        // resource, or null if it doesn't exist
+        db.stat = async path => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+
+          return within_path_fiber(canonical_path, async () => {
+            var fullpath = await get_fullpath(canonical_path)
+            var stats = fullpath && await exists(fullpath, storage)
+            if (!stats || !stats.isFile()) return null
+
+            try {
+              var version = await current_version(canonical_path, fullpath, stats)
+              var content_type = await content_type_of(canonical_path, fullpath)
+            } catch (e) {
+              if (is_missing(e)) return null
+              throw e
+            }
+
+            return {
+              size: stats.size,
+              mtime_ns: '' + stats.mtimeNs,
+              version,
+              content_type,
+              read_only: await storage.is_read_only(fullpath)
+            }
+          })
+        }
+
+        // -------------------------------------------------------------------------
+        // db.on_change
+        // -------------------------------------------------------------------------
+
+        // Calls listener(event) for every add, change and delete, whether made
+        // through the db or outside of it. Returns a function that unsubscribes.
+        db.on_change = listener => {
+          change_listeners.add(listener)
+          return () => change_listeners.delete(listener)
+        }
+
+        // Calls listener() once db.close() is called (right away if it has
+        // been), so long-lived users like subscriptions can end. Returns a
+        // function that unsubscribes.
+        db.on_close = listener => {
+          if (closed) {
+            listener()
+            return () => {}
           }
+          close_listeners.add(listener)
+          return () => close_listeners.delete(listener)
+        }
 
-          // Directories check the index file
-          if (node.directory_promise) fullpath += '/index'
+        // -------------------------------------------------------------------------
+        // db.changes
+        // -------------------------------------------------------------------------
+
+        // Returns an async iterator over the change log: the changes after
+        // options.since (a seq, default 0), then live changes as they happen,
+        // until db.close(). options.prefix limits it to paths at or below it.
+        // Throws ChangesLost if the log no longer goes back to since.
+        db.changes = (options = {}) => {
+          assert_open()
+          var since = options.since || 0
+          var prefix = options.prefix === undefined ? null : get_canonical_path(options.prefix)
+          var in_prefix = canonical_path => !prefix || is_within(canonical_path, prefix)
+
+          // Returns the entry as the feed should yield it, or null to skip it.
+          // A batch keeps only its changes within the prefix.
+          var select = entry => {
+            if (entry.type !== 'batch') return in_prefix(entry.canonical_path) ? entry : null
+            var changes = entry.changes.filter(x => in_prefix(x.canonical_path))
+            return changes.length ? { ...entry, changes } : null
+          }
 
-          return await is_read_only(fullpath)
-        })
-      }
+          return (async function* () {
+            var feed = { queue: [], wake: null }
+            change_feeds.add(feed)
+            try {
+              // Changes from before the feed started are in the logs (or still
+              // unlogged, if appending them failed); later ones are in
+              // feed.queue. The old log is only needed if since is before the
+              // current one.
+              var entries = await within_db_fiber(`changes:${change_log_path}`, async () => {
+                var entries = await read_change_log(change_log_path)
+                if (!entries.length || entries[0].seq > since + 1) {
+                  entries = (await read_change_log(old_change_log_path)).concat(entries)
+                }
+                return entries.concat(unlogged)
+              })
+              if (entries.length && entries[0].seq > since + 1) {
+                throw new ChangesLost(`url-file-db: changes after ${since} are no longer in the change log`,
+                  { since, oldest: entries[0].seq })
+              }
+              var last = since
+              for (var entry of entries) {
+                if (entry.seq <= last) continue
+                last = entry.seq
+                var selected = select(entry)
+                if (selected) yield selected
+              }
+
+              while (true) {
+                while (feed.queue.length) {
+                  var entry = feed.queue.shift()
+                  if (entry.seq <= last) continue
+                  last = entry.seq
+                  var selected = select(entry)
+                  if (selected) yield selected
+                }
+                if (closed) return
+                await new Promise(resolve => feed.wake = resolve)
+                feed.wake = null
+              }
+            } finally {
+              change_feeds.delete(feed)
+            }
+          })()
+        }
+
+        // -------------------------------------------------------------------------
+        // db.http_handler
+        // -------------------------------------------------------------------------
+
+        // (req, res, next) middleware serving this db (see http_handler.js)
+        db.http_handler = (options = {}) => http_handler(db, options)
+
+        // -------------------------------------------------------------------------
+        // db.is_read_only
+        // -------------------------------------------------------------------------
+
+        db.is_read_only = async path => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+
+          return within_path_fiber(canonical_path, async () => {
+            var components = decode_path(path)
+            var node = root
+            var fullpath = base_dir
 
-      // -------------------------------------------------------------------------
-      // db.set_read_only
-      // -------------------------------------------------------------------------
+            // Navigate to the target node
+            for (var component of components) {
+              node = node.component_to_node.get(component)
+              if (!node) return false
+              if (node.directory_promise) await node.directory_promise
+              fullpath += '/' + node.file_path_component
+            }
+
+            // Directories check the index file
+            if (node.directory_promise) fullpath += '/index'
+
+            return await storage.is_read_only(fullpath)
+          })
+        }
+
+        // -------------------------------------------------------------------------
+        // db.set_read_only
+        // -------------------------------------------------------------------------
+
+        db.set_read_only = async (path, read_only) => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+          assert_writable(canonical_path)
+
+          return within_path_fiber(canonical_path, async () => {
+            var components = decode_path(path)
+            var node = root
+            var fullpath = base_dir
+
+            // Navigate to the target node
+            for (var component of components) {
+              node = node.component_to_node.get(component)
+              if (!node) return false
+              if (node.directory_promise) await node.directory_promise
+              fullpath += '/' + node.file_path_component
+            }
+
+            // Directories set the index file
+            if (node.directory_promise) fullpath += '/index'
+
+            try {
+              await storage.set_read_only(fullpath, read_only)
+            } catch (e) {
+              if (is_missing(e)) return false
+              throw e
+            }
+
+            // Recorded so meta stores can index it
+            if (meta_storage.has_been_seen(canonical_path)) {
+              await meta_storage.update(canonical_path, { read_only: !!read_only })
+            }
+            return true
+          })
+        }
+
+        // -------------------------------------------------------------------------
+        // Meta storage API
+        // -------------------------------------------------------------------------
+
+        // Get metadata for a path
+        db.get_meta = (path) => {
+          var canonical_path = get_canonical_path(path)
+          return meta_storage.get(canonical_path)
+        }
+
+        // Set complete metadata for a path
+        db.set_meta = async (path, meta_data) => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+          assert_writable(canonical_path)
+          await meta_storage.set(canonical_path, meta_data)
+        }
+
+        // Update specific fields in metadata (merges with existing)
+        db.update_meta = async (path, updates) => {
+          assert_open()
+          var canonical_path = get_canonical_path(path)
+          assert_writable(canonical_path)
+          await meta_storage.update(canonical_path, updates)
+        }
+
+        // Check if database has this file (has seen it before)
+        db.has = (path) => {
+          var canonical_path = get_canonical_path(path)
+          return meta_storage.has_been_seen(canonical_path)
+        }
+
+        // List all known paths (from metadata)
+        db.get_all_meta_paths = () => {
+          return meta_storage.get_all_paths()
+        }
+
+        // Metadata of the paths at or below options.prefix, optionally only
+        // those whose mtime_ns is newer than options.changed_since, as
+        // [{canonical_path, meta}] sorted by path
+        db.query_meta = (options = {}) => {
+          var prefix = options.prefix ? get_canonical_path(options.prefix) : '/'
+          return meta_storage.query({ ...options, prefix })
+        }
+
+        // -------------------------------------------------------------------------
+        // db.usage
+        // -------------------------------------------------------------------------
 
-      db.set_read_only = async (path, read_only) => {
-        var canonical_path = get_canonical_path(path)
+        // Returns {files, bytes} for the resources at or below prefix (default
+        // '/'), from the sizes tracked in memory (see Quotas and usage)
+        db.usage = (prefix = '/') => {
+          var usage = usage_by_prefix.get(get_canonical_path(prefix))
+          return usage ? { ...usage } : { files: 0, bytes: 0 }
+        }
+
+        // -------------------------------------------------------------------------
+        // Hierarchical listing (from the node tree)
+        // -------------------------------------------------------------------------
+
+        // With no arguments, lists every path ever seen (from metadata).
+        // With a prefix, walks the node tree instead and lists the resources at
+        // or below it. Options:
+        //   recursive (default true) - false lists only the direct children
+        //   depth - how many levels below prefix to descend
+        //   include_meta - return {canonical_path, meta} objects instead of paths
+        db.list = (prefix, options = {}) => {
+          if (prefix === undefined) return db.get_all_meta_paths()
+
+          var prefix_components = decode_path(prefix)
+          var node = find_node(prefix_components)
+          if (!node) return []
+
+          var max_depth = options.recursive === false ? 1 :
+                          options.depth != null ? options.depth : Infinity
+          var results = []
+
+          var visit = (node, components, depth) => {
+            var canonical_path = components_to_canonical_path(components)
+            if (has_content(node, canonical_path)) {
+              results.push(options.include_meta ?
+                { canonical_path, meta: meta_storage.get(canonical_path) } :
+                canonical_path)
+            }
+            if (depth >= max_depth) return
+            for (var [component, child] of node.component_to_node) {
+              if (component === 'index') continue
+              visit(child, components.concat(component), depth + 1)
+            }
+          }
+          visit(node, prefix_components, 0)
+
+          return results
+        }
 
-        return within_fiber(`db:${canonical_path}`, async () => {
+        // The direct children of a path, sorted by name, as
+        // {name, canonical_path, has_content, has_children}. Returns null if
+        // the path isn't in the tree.
+        db.children = path => {
           var components = decode_path(path)
-          var node = root
-          var fullpath = base_dir
+          var node = find_node(components)
+          if (!node) return null
+
+          var children = []
+          for (var [component, child] of node.component_to_node) {
+            if (component === 'index') continue
+            var canonical_path = components_to_canonical_path(components.concat(component))
+            children.push({
+              name: component,
+              canonical_path,
+              has_content: has_content(child, canonical_path),
+              has_children: Array.from(child.component_to_node.keys()).some(c => c !== 'index')
+            })
+          }
 
-          // Navigate to the target node
+          return children.sort((a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+        }
+
+        function find_node(components) {
+          var node = root
           for (var component of components) {
             node = node.component_to_node.get(component)
-            if (!node) return false
-            if (node.directory_promise) await node.directory_promise
-            fullpath += '/' + node.file_path_component
+            if (!node) return null
           }
+          return node
+        }
 
-          // Directories set the index file
-          if (node.directory_promise) fullpath += '/index'
+        // Files always have content. Directories have it if they have an index
+        // file, which the watcher adds as a child node and db.write records in
+        // metadata.
+        function has_content(node, canonical_path) {
+          return !node.directory_promise ||
+                 node.component_to_node.has('index') ||
+                 meta_storage.has_been_seen(canonical_path)
+        }
 
+        // -------------------------------------------------------------------------
+        // db.fsck
+        // -------------------------------------------------------------------------
+
+        // Cross-checks the node tree (and its case-insensitive maps) against
+        // the files in base_dir, and the metadata against both. Resolves to a
+        // list of problems, each {type, canonical_path, file, repaired}, where
+        // file is relative to base_dir. Operations wait while it runs. With
+        // options.repair, fixes what it can: the node tree and metadata are made
+        // to match the disk. Problems with the files themselves (invalid_name,
+        // duplicate_encoding, shadowed) are only reported, since fixing them
+        // means choosing which file to keep.
+        db.fsck = async (options = {}) => {
+          assert_open()
+          if (options.repair) assert_writable()
+          var release = await lock_subtree('/')
           try {
-            await set_read_only(fullpath, read_only)
-            return true
-          } catch (e) {
-            return false
+            var problems = []
+            var repairs = []
+            var report = (type, details, repair) => {
+              var problem = { type, ...details, repaired: false }
+              problems.push(problem)
+              if (repair) repairs.push(async () => {
+                await repair()
+                problem.repaired = true
+              })
+            }
+
+            // Resources found on disk
+            var on_disk = new Set()
+            await check_directory(root, base_dir, [], false)
+
+            for (let canonical_path of meta_storage.get_all_paths()) {
+              if (on_disk.has(canonical_path)) continue
+              report('stale_meta', { canonical_path }, () =>
+                within_db_fiber(`db:${canonical_path}`, () => forget_if_deleted(canonical_path)))
+            }
+
+            if (options.repair) {
+              for (var repair of repairs) await repair()
+            }
+
+            logger.info('url-file-db: fsck finished',
+              { problems: problems.length, repaired: problems.filter(x => x.repaired).length })
+            return problems
+          } finally {
+            release()
           }
-        })
-      }
 
-      // -------------------------------------------------------------------------
-      // Meta storage API
-      // -------------------------------------------------------------------------
+          // Checks the entries of the directory at fullpath against node (null
+          // if the tree doesn't have it). Below a shadowed entry, only the tree
+          // is checked.
+          async function check_directory(node, fullpath, components, shadowed) {
+            // Entries by the component they decode to; more than one means
+            // the same path is on disk under several names
+            var entries = new Map()
+            for (var entry of await storage.readdir(fullpath)) {
+              var entry_fullpath = fullpath + '/' + entry
+              if (entry_fullpath === meta_dir || is_temp_file(entry_fullpath)) continue
+              if (filter_cb && !filter_cb(entry_fullpath, 'scan')) continue
+
+              var stats = await exists(entry_fullpath, storage)
+              if (!stats) continue
 
-      // Get metadata for a path
-      db.get_meta = (path) => {
-        var canonical_path = get_canonical_path(path)
-        return meta_storage.get(canonical_path)
-      }
+              try {
+                var component = decode_component(entry)
+              } catch (e) {
+                report('invalid_name', { file: entry_fullpath.slice(base_dir.length) })
+                continue
+              }
+              if (!entries.has(component)) entries.set(component, [])
+              entries.get(component).push({ entry, stats })
+            }
 
-      // Set complete metadata for a path
-      db.set_meta = async (path, meta_data) => {
-        var canonical_path = get_canonical_path(path)
-        await meta_storage.set(canonical_path, meta_data)
-      }
+            for (var [component, found] of entries) {
+              await check_entry(node, fullpath, components, shadowed, component, found)
+            }
 
-      // Update specific fields in metadata (merges with existing)
-      db.update_meta = async (path, updates) => {
-        var canonical_path = get_canonical_path(path)
-        await meta_storage.update(canonical_path, updates)
-      }
+            if (!node) return
 
-      // Check if database has this file (has seen it before)
-      db.has = (path) => {
-        var canonical_path = get_canonical_path(path)
-        return meta_storage.has_been_seen(canonical_path)
-      }
+            // Nodes for files that aren't there
+            for (let [component, child] of node.component_to_node) {
+              if (entries.has(component)) continue
+              report('stale_node', {
+                canonical_path: components_to_canonical_path(components.concat(component)),
+                file: fullpath.slice(base_dir.length) + '/' + child.file_path_component
+              }, () => remove_child_node(node, component))
+            }
 
-      // List all known paths (from metadata)
-      db.list = () => {
-        return meta_storage.get_all_paths()
-      }
+            if (!is_case_sensitive && !same_case_map(node)) {
+              report('case_map', {
+                canonical_path: components_to_canonical_path(components),
+                file: fullpath.slice(base_dir.length) || '/'
+              }, () => rebuild_case_map(node))
+            }
+          }
 
-      // Alias for list() to be more explicit
-      db.get_all_meta_paths = db.list
-
-      // -------------------------------------------------------------------------
-      // Start chokidar watch AFTER db methods are defined
-      // -------------------------------------------------------------------------
-
-      // Create watcher and attach handlers before starting watch to avoid missing events
-      var chokidar = require('chokidar')
-      var c = new chokidar.FSWatcher({
-          awaitWriteFinish: {
-            stabilityThreshold: stability_threshold,
-            pollInterval: 10
-          },
-          // Ignore the meta directory to avoid infinite loops
-          ignored: meta_dir
-      })
+          async function check_entry(node, fullpath, components, shadowed, component, found) {
+            var child = node && node.component_to_node.get(component)
+            var child_components = components.concat(component)
+            var canonical_path = components_to_canonical_path(child_components)
+
+            // Go on with the file the tree refers to
+            var { entry, stats } = found.find(x => child && x.entry === child.file_path_component) || found[0]
+            var child_fullpath = fullpath + '/' + entry
+            var file = child_fullpath.slice(base_dir.length)
+            var is_directory = stats.isDirectory()
+
+            if (found.length > 1 && !shadowed) {
+              report('duplicate_encoding', {
+                canonical_path,
+                files: found.map(x => fullpath.slice(base_dir.length) + '/' + x.entry)
+              })
+            }
 
-      // Attach event handlers before starting the watch
-      c.on('add', x => chokidar_handler(x, 'add'))
-      c.on('addDir', x => chokidar_handler(x, 'addDir'))
-      c.on('change', x => chokidar_handler(x, 'change'))
-      c.on('unlink', x => chokidar_handler(x, 'unlink'))
-      c.on('unlinkDir', x => chokidar_handler(x, 'unlinkDir'))
+            // A component the path rules drop or cut at ("." and "..", or
+            // "index" as a directory) makes the file stand for another path
+            if (!shadowed && (component === '.' || component === '..' ||
+                (component === 'index' && is_directory))) {
+              canonical_path = get_canonical_path(file)
+              report('shadowed', { canonical_path, file })
+              shadowed = true
+            }
+
+            // The node tree. The watcher adds nodes for index files, so a
+            // directory's index may not have one yet.
+            if (node && !child && !(component === 'index' && !is_directory)) {
+              report('missing_node', { canonical_path, file }, () =>
+                add_to_tree(node, entry, child_fullpath, is_directory))
+            } else if (child && child.file_path_component !== entry) {
+              report('wrong_file', { canonical_path, file, node_file: child.file_path_component }, () => {
+                child.file_path_component = entry
+                rebuild_case_map(node)
+              })
+            }
+            if (child && is_directory !== !!child.directory_promise) {
+              report('wrong_kind', { canonical_path, file, on_disk: is_directory ? 'directory' : 'file' }, () => {
+                child.directory_promise = is_directory ? Promise.resolve() : null
+              })
+            }
 
-      // Start watching and wait for initial scan to complete
-      c.add(base_dir)
-      await new Promise(resolve => c.on('ready', resolve))
+            if (is_directory) return await check_directory(child || null, child_fullpath, child_components, shadowed)
+            if (shadowed) return
+
+            // A directory's content is its index file
+            var resource = component === 'index' ? components_to_canonical_path(components) : canonical_path
+            on_disk.add(resource)
+            if (!meta_storage.has_been_seen(resource)) {
+              report('missing_meta', { canonical_path: resource, file }, () =>
+                within_db_fiber(`db:${resource}`, () => check_file(child_fullpath, resource)))
+            }
+          }
+        }
 
-      // -------------------------------------------------------------------------
-      // Periodic scan to catch any changes chokidar might miss
-      // -------------------------------------------------------------------------
+        // Adds the node for the file or directory at fullpath, and the nodes
+        // for everything below a directory
+        async function add_to_tree(parent_node, file_path_component, fullpath, is_directory) {
+          var node = ensure_node_exists(parent_node, file_path_component)
+          if (!is_directory) return
+          node.directory_promise = Promise.resolve()
+          for (var entry of await storage.readdir(fullpath)) {
+            var entry_fullpath = fullpath + '/' + entry
+            if (is_temp_file(entry_fullpath)) continue
+            if (filter_cb && !filter_cb(entry_fullpath, 'scan')) continue
+            var stats = await exists(entry_fullpath, storage)
+            if (stats) await add_to_tree(node, entry, entry_fullpath, stats.isDirectory())
+          }
+        }
 
-      var scan_running = false
-      var scan_again = false
-      var scan_timeout = null
+        // The case-insensitive map a node should have, given its children
+        function expected_case_map(node) {
+          var map = new Map()
+          for (var [component, child] of node.component_to_node) {
+            var icomponent = component.toLowerCase()
+            if (!map.has(icomponent)) map.set(icomponent, new Set())
+            map.get(icomponent).add(child.file_path_component.toLowerCase())
+          }
+          return map
+        }
 
-      async function scan_files() {
-        scan_again = true
-        if (scan_running) return
-        if (scan_timeout) clearTimeout(scan_timeout)
+        function same_case_map(node) {
+          var expected = expected_case_map(node)
+          var actual = node.icomponent_to_ifile_path_components
+          if (expected.size !== actual.size) return false
+          for (var [icomponent, ifile_path_components] of expected) {
+            var set = actual.get(icomponent)
+            if (!set || set.size !== ifile_path_components.size) return false
+            for (var x of ifile_path_components) if (!set.has(x)) return false
+          }
+          return true
+        }
 
-        scan_running = true
-        while (scan_again) {
-          scan_again = false
-          await scan_directory(base_dir)
+        function rebuild_case_map(node) {
+          if (!is_case_sensitive) node.icomponent_to_ifile_path_components = expected_case_map(node)
         }
-        scan_running = false
 
-        scan_timeout = setTimeout(scan_files, scan_interval_ms)
-      }
+        // -------------------------------------------------------------------------
+        // Start watching AFTER db methods are defined
+        // -------------------------------------------------------------------------
+
+        // Create watcher and attach handlers before it starts reporting events
+        var c = storage.watch(base_dir, {
+          stability_threshold,
+          // Ignore the meta directory to avoid infinite loops, and temp files
+          ignored: fullpath => fullpath === meta_dir ||
+            fullpath.startsWith(meta_dir + '/') ||
+            is_temp_file(fullpath)
+        })
 
-      async function scan_directory(fullpath) {
-        // Skip the meta directory
-        if (fullpath === meta_dir) return
+        // Attach event handlers (the watcher reports events asynchronously)
+        for (let event of ['add', 'addDir', 'change', 'unlink', 'unlinkDir']) {
+          c.on(event, x => in_background(chokidar_handler(x, event), `handling ${event} of ${x}`))
+        }
 
-        var file_path = fullpath.slice(base_dir.length)
-        if (filter_cb && file_path && !filter_cb(fullpath, 'scan')) return
+        // Wait for initial scan to complete
+        await new Promise(resolve => c.on('ready', resolve))
+
+        // -------------------------------------------------------------------------
+        // Reconcile metadata with the disk
+        // -------------------------------------------------------------------------
+
+        // The initial scan reports every file, and checking them finds the ones
+        // added or modified while the db was not running. Files deleted
+        // meanwhile get no event, so once the checks are done, forget every
+        // known resource that is no longer on disk.
+        await fibers_settled()
+        await Promise.all(meta_storage.get_all_paths().map(canonical_path =>
+          within_db_fiber(`db:${canonical_path}`, () => forget_if_deleted(canonical_path))
+            .catch(error => logger.error(`url-file-db: error checking ${canonical_path}`, { error }))))
+        await changes_logged()
+
+        // What changed while the db was not running, as sorted arrays of
+        // canonical paths: {added, modified, deleted}
+        for (var list of Object.values(offline_changes)) list.sort()
+        db.ready = offline_changes
+        offline_changes = null
+        logger.info('url-file-db: reconciled metadata with the disk', {
+          added: db.ready.added.length,
+          modified: db.ready.modified.length,
+          deleted: db.ready.deleted.length
+        })
 
-        try {
-          var stat = await require('fs').promises.stat(fullpath, { bigint: true })
-        } catch (e) {
-          return  // File/directory no longer exists
+        // -------------------------------------------------------------------------
+        // Periodic scan to catch any changes chokidar might miss
+        // -------------------------------------------------------------------------
+
+        var scan_running = null  // Promise for the scan in progress
+        var scan_again = false
+        var scan_timeout = null
+
+        async function scan_files() {
+          scan_again = true
+          if (scan_running) return
+          if (scan_timeout) clearTimeout(scan_timeout)
+
+          scan_running = (async () => {
+            while (scan_again && !closed) {
+              scan_again = false
+              var started = Date.now()
+              logger.debug('url-file-db: scan started', { base_dir })
+              var seen = new Set()
+              await scan_directory(base_dir, seen)
+              if (closed) break
+
+              // Known resources the scan didn't come across may have been deleted
+              var unseen = 0
+              for (var canonical_path of meta_storage.get_all_paths()) {
+                if (!seen.has(canonical_path)) {
+                  unseen++
+                  check_deleted_and_callback(canonical_path)
+                }
+              }
+              logger.debug('url-file-db: scan finished',
+                { files: seen.size, unseen, ms: Date.now() - started })
+            }
+          })()
+          try {
+            await scan_running
+          } finally {
+            scan_running = null
+            if (!closed) scan_timeout = setTimeout(() => in_background(scan_files(), 'scanning'), scan_interval_ms)
+          }
         }
 
-        if (stat.isDirectory()) {
-          var entries = await require('fs').promises.readdir(fullpath)
-          for (var entry of entries) {
-            await scan_directory(fullpath + '/' + entry)
+        async function scan_directory(fullpath, seen) {
+          if (closed) return
+
+          // Skip the meta directory
+          if (fullpath === meta_dir) return
+
+          // Skip temp files of in-progress atomic writes
+          if (is_temp_file(fullpath)) return
+
+          var file_path = fullpath.slice(base_dir.length)
+          if (filter_cb && file_path && !filter_cb(fullpath, 'scan')) return
+
+          try {
+            var stat = await storage.stat(fullpath)
+          } catch (e) {
+            return  // File/directory no longer exists
           }
-        } else {
-          var canonical_path = get_canonical_path(file_path)
 
-          // Don't trigger callback if this is an anticipated event from db.write
-          if (anticipated_events.has(canonical_path)) return
+          if (stat.isDirectory()) {
+            var entries = await storage.readdir(fullpath)
+            for (var entry of entries) {
+              await scan_directory(fullpath + '/' + entry, seen)
+            }
+          } else {
+            var canonical_path = get_canonical_path(file_path)
+            seen.add(canonical_path)
+
+            // Don't trigger callback if this is an anticipated event from db.write
+            if (anticipated_events.has(canonical_path)) {
+              logger.debug('url-file-db: scan skipped file being written', { canonical_path })
+              return
+            }
 
-          var meta = meta_storage.get(canonical_path)
-          var meta_mtime_ns = meta && meta.mtime_ns ? BigInt(meta.mtime_ns) : null
+            var meta = meta_storage.get(canonical_path)
+            var meta_mtime_ns = meta && meta.mtime_ns ? BigInt(meta.mtime_ns) : null
 
-          // If mtime differs from what we recorded, trigger check
-          if (!meta_mtime_ns || stat.mtimeNs > meta_mtime_ns) {
-            check_file_and_callback(fullpath, canonical_path)
+            // If mtime differs from what we recorded, trigger check
+            if (!meta_mtime_ns || stat.mtimeNs > meta_mtime_ns) {
+              logger.debug('url-file-db: scan found a newer file', { canonical_path })
+              check_file_and_callback(fullpath, canonical_path)
+            }
           }
         }
-      }
 
-      // Start the periodic scan after a short delay
-      scan_timeout = setTimeout(scan_files, scan_interval_ms)
+        // Start the periodic scan after a short delay
+        scan_timeout = setTimeout(() => in_background(scan_files(), 'scanning'), scan_interval_ms)
+
+        if (lock) lock_timer = setInterval(() => in_background(refresh_lock(), 'refreshing the lock'), stale_lock_ms / 4)
+
+        // -------------------------------------------------------------------------
+        // db.close
+        // -------------------------------------------------------------------------
 
-      return db
+        // Stops the watcher and scanner, then waits for in-flight work to drain.
+        // Later calls to db methods reject with a Closed error.
+        var close_promise = null
+
+        db.close = () => close_promise = close_promise || (async () => {
+          closed = true
+
+          // End the db.changes iterators once they have yielded what they have
+          for (var feed of change_feeds) if (feed.wake) feed.wake()
+
+          for (var listener of close_listeners) {
+            try {
+              listener()
+            } catch (error) {
+              logger.error('url-file-db: error in close listener', { error })
+            }
+          }
+          close_listeners.clear()
+
+          clearTimeout(scan_timeout)
+          await c.close()
+          if (scan_running) await scan_running.catch(() => {})  // Already reported
+
+          await fibers_settled()
+          await meta_storage.close()
+
+          clearInterval(lock_timer)
+          if (lock) await release_lock(storage, lock_path, lock)
+
+          // Nothing is watching anymore, so there are no events left to suppress
+          for (var timer of anticipated_timers) clearTimeout(timer)
+          anticipated_timers.clear()
+          anticipated_events.clear()
+        })()
+
+        return db
+      } catch (e) {
+        // E.g. a meta_store this Node can't run, or a watcher that can't
+        // start. Whatever the startup began finishes before the lock is
+        // released, so nothing writes to meta_dir once another db has it.
+        closed = true
+        clearTimeout(scan_timeout)
+        clearInterval(lock_timer)
+        if (c) await c.close().catch(() => {})
+        await fibers_settled()
+        if (meta_storage) await meta_storage.close().catch(() => {})
+        if (lock) await release_lock(storage, lock_path, lock).catch(() => {})
+        throw e
+      }
     },
 
     // Exported utilities
@@ -748,58 +3272,235 @@ void (() => {
     decode_path,
     encode_file_path_component,
     encode_to_avoid_icase_collision,
-    detect_case_sensitivity
+    detect_case_sensitivity,
+
+    // Error classes
+    Conflict,
+    NotFound,
+    ReadOnly,
+    IOError,
+    InvalidPath,
+    Locked,
+    Closed,
+    QuotaExceeded,
+    ChangesLost,
+
+    // Storage adapters
+    fs_storage,
+    memory_storage
   }
 
   // -----------------------------------------------------------------------------
   // Utility Functions
   // -----------------------------------------------------------------------------
 
-  async function exists(fullpath) {
+  // Fills in the levels a logger leaves out. Each level is called as
+  // (message, details), details being an object such as {canonical_path} or
+  // {error}. Without a logger, warnings and errors go to the console.
+  function create_logger(logger) {
+    if (!logger) {
+      logger = {
+        warn: (message, details) => console.warn(message, details),
+        error: (message, details) => console.error(message, details)
+      }
+    }
+    var ignore = () => {}
+    return {
+      debug: (logger.debug || ignore).bind(logger),
+      info: (logger.info || ignore).bind(logger),
+      warn: (logger.warn || ignore).bind(logger),
+      error: (logger.error || ignore).bind(logger)
+    }
+  }
+
+  // Resolves to the stats, or undefined if there is nothing at fullpath
+  async function exists(fullpath, storage) {
     try {
-      return await require('fs').promises.stat(fullpath)
+      return await storage.stat(fullpath)
     } catch (e) {
-      // File doesn't exist
+      if (!is_missing(e)) throw e
     }
   }
 
-  async function detect_case_sensitivity(dir) {
+  // Whether a storage error means the path (or a parent) doesn't exist
+  function is_missing(e) {
+    return e.code === 'ENOENT' || e.code === 'ENOTDIR'
+  }
+
+  async function detect_case_sensitivity(dir, storage = fs_storage(), options = {}) {
+    if (options.read_only) return detect_case_sensitivity_by_reading(dir, storage)
+
     var test_path = `${dir}/.case-test-${Math.random().toString(36).slice(2)}`
-    await require('fs').promises.writeFile(test_path, '')
-    var is_case_sensitive = !await exists(test_path.toUpperCase())
-    await require('fs').promises.unlink(test_path)
+    await storage.writeFile(test_path, '')
+    var is_case_sensitive = !await exists(test_path.toUpperCase(), storage)
+    await storage.unlink(test_path)
     return is_case_sensitive
   }
 
-  async function is_read_only(fullpath) {
+  // Detects without writing (e.g. for a follower): looks up a name that
+  // exists in dir (or dir itself, or one of its parents) with its case
+  // swapped. Assumes case-sensitive if no name there has letters.
+  async function detect_case_sensitivity_by_reading(dir, storage) {
+    var path = require('path')
+    var listings = new Map()
+    function list(parent) {
+      if (!listings.has(parent)) listings.set(parent, storage.readdir(parent).catch(() => null))
+      return listings.get(parent)
+    }
+
+    var candidates = ((await list(dir)) || []).map(name => [dir, name])
+    for (var p = dir; p !== path.dirname(p); p = path.dirname(p)) {
+      candidates.push([path.dirname(p), path.basename(p)])
+    }
+
+    for (var [parent, name] of candidates) {
+      var swapped = name.toUpperCase() !== name ? name.toUpperCase() : name.toLowerCase()
+      if (swapped === name) continue
+      var names = await list(parent)
+      if (!names || !names.includes(name)) continue
+      if (names.includes(swapped)) return true  // Both exist side by side
+      return !await exists(parent + '/' + swapped, storage)
+    }
+    return true
+  }
+
+  // -----------------------------------------------------------------------------
+  // Lock
+  // -----------------------------------------------------------------------------
+  //
+  // The lock file holds {pid, hostname, id, started} of the db that has
+  // meta_dir open. Its mtime is refreshed while the db is open. A lock is
+  // stale if its mtime is older than stale_lock_ms, or if its process is
+  // gone (which can only be told on the same host).
+
+  // ids of the locks dbs in this process hold
+  var held_lock_ids = new Set()
+
+  // Creates the lock file, taking over a stale one. Throws Locked if
+  // another db holds it. Resolves to the lock.
+  async function acquire_lock(storage, lock_path, stale_lock_ms, logger) {
+    var lock = {
+      pid: process.pid,
+      hostname: require('os').hostname(),
+      id: require('crypto').randomBytes(8).toString('hex'),
+      started: Date.now()
+    }
+    await storage.mkdir(require('path').dirname(lock_path), { recursive: true })
+
+    for (var attempt = 0; ; attempt++) {
+      try {
+        await storage.writeFile(lock_path, JSON.stringify(lock), { flag: 'wx' })
+        held_lock_ids.add(lock.id)
+        return lock
+      } catch (e) {
+        if (e.code !== 'EEXIST') throw e
+      }
+
+      var current = await read_lock(storage, lock_path)
+      if (!current) continue  // Released meanwhile
+
+      if (attempt < 3 && is_stale_lock(current, stale_lock_ms) &&
+          await take_over_lock(storage, lock_path, current)) {
+        logger.warn('url-file-db: took over a stale lock', { path: lock_path, holder: current.holder })
+        continue
+      }
+
+      var holder = current.holder && {
+        pid: current.holder.pid,
+        hostname: current.holder.hostname,
+        started: current.holder.started
+      }
+      throw new Locked(`url-file-db: ${lock_path} is held by ` +
+        (holder ? `process ${holder.pid} on ${holder.hostname}` : 'another db'), { path: lock_path, holder })
+    }
+  }
+
+  // Resolves to {holder, content, stats}, holder being null if the file
+  // can't be parsed (e.g. it is being written), or null if there is no lock
+  async function read_lock(storage, lock_path) {
+    try {
+      var stats = await storage.stat(lock_path)
+      var content = await storage.readFile(lock_path, 'utf8')
+    } catch (e) {
+      if (is_missing(e)) return null
+      throw e
+    }
+    try {
+      var holder = JSON.parse(content)
+    } catch (e) {
+      var holder = null
+    }
+    return { holder, content, stats }
+  }
+
+  function is_stale_lock({ holder, stats }, stale_lock_ms) {
+    if (Date.now() - Number(stats.mtimeNs / 1000000n) > stale_lock_ms) return true
+    if (!holder || holder.hostname !== require('os').hostname()) return false
+
+    // Left by a db in this process that failed to open
+    if (holder.pid === process.pid) return !held_lock_ids.has(holder.id)
+
+    try {
+      process.kill(holder.pid, 0)
+      return false
+    } catch (e) {
+      return e.code === 'ESRCH'
+    }
+  }
+
+  // Moves the stale lock aside and removes it. If another db replaced it
+  // meanwhile, puts that one back and resolves to false.
+  async function take_over_lock(storage, lock_path, stale) {
+    var temp_path = get_temp_path(lock_path)
     try {
-      const stat = await require('fs').promises.stat(fullpath)
-      return require('os').platform() === "win32" ?
-        !!(stat.mode & 0x1) :
-        !(stat.mode & 0o200)
+      await storage.rename(lock_path, temp_path)
     } catch (e) {
+      if (is_missing(e)) return true  // Someone else removed it
+      throw e
+    }
+
+    var content = await storage.readFile(temp_path, 'utf8')
+    if (content !== stale.content) {
+      await storage.writeFile(lock_path, content, { flag: 'wx' }).catch(() => {})
+      await storage.unlink(temp_path)
       return false
     }
+    await storage.unlink(temp_path)
+    return true
   }
 
-  async function set_read_only(fullpath, read_only) {
-    if (require('os').platform() === "win32") {
-      await new Promise((resolve, reject) => {
-        require("child_process").exec(`fsutil file setattr readonly "${fullpath}" ${!!read_only}`, (error) => error ? reject(error) : resolve())
+  // Removes the lock file, unless another db has taken it over
+  async function release_lock(storage, lock_path, lock) {
+    held_lock_ids.delete(lock.id)
+    var current = await read_lock(storage, lock_path)
+    if (current && current.holder && current.holder.id === lock.id) {
+      await storage.unlink(lock_path).catch(e => {
+        if (!is_missing(e)) throw e
       })
-    } else {
-      let mode = (await require('fs').promises.stat(fullpath)).mode
+    }
+  }
 
-      // Check if chmod is actually needed
-      if (read_only && (mode & 0o222) === 0) return
-      if (!read_only && (mode & 0o200) !== 0) return
+  // Temp files live next to their target, so renaming them into place is
+  // atomic. The watcher and scanner ignore anything with this prefix.
+  var temp_file_prefix = '.url-file-db-tmp-'
 
-      // Perform chmod only if necessary
-      if (read_only) mode &= ~0o222  // Remove all write permissions
-      else mode |= 0o200   // Add owner write permission
+  function get_temp_path(fullpath) {
+    return require('path').dirname(fullpath) + '/' + temp_file_prefix + Math.random().toString(36).slice(2)
+  }
 
-      await require('fs').promises.chmod(fullpath, mode)
-    }
+  function is_temp_file(fullpath) {
+    return require('path').basename(fullpath).startsWith(temp_file_prefix)
+  }
+
+  // Is canonical_path equal to or below prefix?
+  function is_within(canonical_path, prefix) {
+    return prefix === '/' ||
+           canonical_path === prefix ||
+           canonical_path.startsWith(prefix + '/')
+  }
+
+  function components_to_canonical_path(components) {
+    return '/' + components.map(encode_canonical_path_component).join('/')
   }
 
   function create_node(file_path_component) {
@@ -811,19 +3512,22 @@ void (() => {
     }
   }
 
-  // Serialize async operations by ID to prevent race conditions
+  // Serialize async operations by ID to prevent race conditions. Resolves
+  // or rejects like func; the chain itself never rejects, so a failure
+  // doesn't stop the operations queued after it.
   function within_fiber(id, func) {
     if (!within_fiber.chains) within_fiber.chains = {}
     var prev = within_fiber.chains[id] || Promise.resolve()
-    var curr = prev.then(async () => {
+    var result = prev.then(async () => {
       try {
         return await func()
       } finally {
         if (within_fiber.chains[id] === curr)
           delete within_fiber.chains[id]
       }
-    }).catch(e => console.error(`Error in fiber ${id}:`, e))
-    return within_fiber.chains[id] = curr
+    })
+    var curr = within_fiber.chains[id] = result.catch(() => {})
+    return result
   }
 
   // -----------------------------------------------------------------------------
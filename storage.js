@@ -0,0 +1,440 @@
+// =============================================================================
+// Storage Adapters
+// =============================================================================
+//
+// url-file-db does all of its I/O through a storage adapter, passed to
+// create() as options.storage. The default is fs_storage(), which uses the
+// real filesystem and chokidar. memory_storage() keeps everything in memory,
+// for tests and ephemeral environments.
+//
+// An adapter is an object with these methods. Paths are absolute and use "/"
+// separators. Failures reject with Node-style errors carrying a `code`
+// (ENOENT, EEXIST, EISDIR, ENOTDIR, ENOTEMPTY, EACCES).
+//
+//   readFile(path, encoding?)         → Promise<Buffer | string>
+//   writeFile(path, data, { flag }?)  → Promise   (flag 'wx': EEXIST if path exists)
+//   appendFile(path, data)            → Promise
+//   mkdir(path, { recursive })        → Promise
+//   unlink(path)                      → Promise
+//   rmdir(path)                       → Promise   (directory must be empty)
+//   rename(from, to)                  → Promise
+//   readdir(path)                     → Promise<string[]>
+//   stat(path)                        → Promise<Stats>
+//   chmod(path, mode)                 → Promise
+//   is_read_only(path)                → Promise<boolean>  (false if missing)
+//   set_read_only(path, read_only)    → Promise
+//   createReadStream(path, { start, end }) → Readable, emits 'open' once open
+//   createWriteStream(path)           → Writable
+//   watch(dir, { ignored, stability_threshold }) → Watcher
+//
+// Stats has isFile(), isDirectory(), size and mode (numbers), and mtimeNs
+// (a BigInt of nanoseconds).
+//
+// A Watcher is an EventEmitter that reports the existing contents of dir as
+// 'add'/'addDir' events, then emits 'ready', and then reports changes as
+// 'add', 'addDir', 'change', 'unlink' and 'unlinkDir' events with the
+// absolute path. ignored(path) returns true for paths to leave out. close()
+// returns a promise.
+//
+// =============================================================================
+
+var EventEmitter = require('events')
+
+// -----------------------------------------------------------------------------
+// Filesystem Storage
+// -----------------------------------------------------------------------------
+
+function fs_storage() {
+  var fs = require('fs').promises
+
+  return {
+    readFile: fs.readFile.bind(fs),
+    writeFile: fs.writeFile.bind(fs),
+    appendFile: fs.appendFile.bind(fs),
+    mkdir: fs.mkdir.bind(fs),
+    unlink: fs.unlink.bind(fs),
+    rmdir: fs.rmdir.bind(fs),
+    rename: fs.rename.bind(fs),
+    readdir: fs.readdir.bind(fs),
+    chmod: fs.chmod.bind(fs),
+    createReadStream: require('fs').createReadStream,
+    createWriteStream: require('fs').createWriteStream,
+
+    async stat(path) {
+      var stats = await fs.stat(path, { bigint: true })
+      return {
+        isFile: () => stats.isFile(),
+        isDirectory: () => stats.isDirectory(),
+        size: Number(stats.size),
+        mode: Number(stats.mode),
+        mtimeNs: stats.mtimeNs
+      }
+    },
+
+    async is_read_only(path) {
+      try {
+        var stat = await fs.stat(path)
+        return require('os').platform() === "win32" ?
+          !!(stat.mode & 0x1) :
+          !(stat.mode & 0o200)
+      } catch (e) {
+        return false
+      }
+    },
+
+    async set_read_only(path, read_only) {
+      if (require('os').platform() === "win32") {
+        await new Promise((resolve, reject) => {
+          require("child_process").exec(`fsutil file setattr readonly "${path}" ${!!read_only}`, (error) => error ? reject(error) : resolve())
+        })
+      } else {
+        let mode = (await fs.stat(path)).mode
+
+        // Check if chmod is actually needed
+        if (read_only && (mode & 0o222) === 0) return
+        if (!read_only && (mode & 0o200) !== 0) return
+
+        // Perform chmod only if necessary
+        if (read_only) mode &= ~0o222  // Remove all write permissions
+        else mode |= 0o200   // Add owner write permission
+
+        await fs.chmod(path, mode)
+      }
+    },
+
+    watch(dir, options = {}) {
+      var chokidar = require('chokidar')
+      var watcher = new chokidar.FSWatcher({
+        awaitWriteFinish: {
+          stabilityThreshold: options.stability_threshold || 100,
+          pollInterval: 10
+        },
+        ignored: options.ignored ? path => options.ignored(path) : undefined
+      })
+      watcher.add(dir)
+      return watcher
+    }
+  }
+}
+
+// -----------------------------------------------------------------------------
+// In-Memory Storage
+// -----------------------------------------------------------------------------
+//
+// Files and directories live in a tree of plain objects. Pass
+// { case_sensitive: false } to behave like a case-insensitive filesystem
+// (names keep their case, but lookups ignore it).
+
+function memory_storage(options = {}) {
+  var case_sensitive = options.case_sensitive !== false
+  var watchers = new Set()
+  var clock = 0n
+
+  var root = create_entry('dir')
+
+  function create_entry(type, data) {
+    return {
+      type,
+      data: type === 'file' ? data : null,
+      entries: type === 'dir' ? new Map() : null,  // key → { name, entry }
+      mode: type === 'dir' ? 0o40755 : 0o100644,
+      mtimeNs: now_ns()
+    }
+  }
+
+  // Strictly increasing, so every write gets a newer mtime
+  function now_ns() {
+    var ns = BigInt(Date.now()) * 1000000n
+    clock = ns > clock ? ns : clock + 1n
+    return clock
+  }
+
+  function key(name) {
+    return case_sensitive ? name : name.toLowerCase()
+  }
+
+  function split(path) {
+    return path.split('/').filter(x => x)
+  }
+
+  function error(code, syscall, path) {
+    var e = new Error(`${code}: ${syscall} '${path}'`)
+    e.code = code
+    e.syscall = syscall
+    e.path = path
+    return e
+  }
+
+  // Returns the entry at path, or null
+  function lookup(path) {
+    var entry = root
+    for (var name of split(path)) {
+      if (entry.type !== 'dir') return null
+      var child = entry.entries.get(key(name))
+      if (!child) return null
+      entry = child.entry
+    }
+    return entry
+  }
+
+  // Returns { dir, name } for the parent directory of path
+  function lookup_parent(path, syscall) {
+    var names = split(path)
+    var name = names.pop()
+    var dir = lookup('/' + names.join('/'))
+    if (!dir) throw error('ENOENT', syscall, path)
+    if (dir.type !== 'dir') throw error('ENOTDIR', syscall, path)
+    return { dir, name }
+  }
+
+  function get(path, syscall) {
+    var entry = lookup(path)
+    if (!entry) throw error('ENOENT', syscall, path)
+    return entry
+  }
+
+  function set_child(dir, name, entry) {
+    dir.entries.set(key(name), { name, entry })
+    dir.mtimeNs = now_ns()
+  }
+
+  function delete_child(dir, name) {
+    dir.entries.delete(key(name))
+    dir.mtimeNs = now_ns()
+  }
+
+  // Path of an existing entry, spelled the way it was created
+  function stored_path(path) {
+    var entry = root
+    var result = ''
+    for (var name of split(path)) {
+      var child = entry.entries.get(key(name))
+      result += '/' + child.name
+      entry = child.entry
+    }
+    return result || '/'
+  }
+
+  function emit(event, path) {
+    for (var watcher of watchers) watcher.notify(event, path)
+  }
+
+  // Events for an entry and everything below it, parents first
+  function walk(path, entry, visit) {
+    visit(path, entry)
+    if (entry.type === 'dir') {
+      for (var { name, entry: child } of entry.entries.values()) {
+        walk(path + '/' + name, child, visit)
+      }
+    }
+  }
+
+  function write(path, data, append, exclusive) {
+    var { dir, name } = lookup_parent(path, append ? 'appendFile' : 'open')
+    var existing = dir.entries.get(key(name))
+    if (existing && exclusive) throw error('EEXIST', 'open', path)
+    if (existing && existing.entry.type === 'dir') throw error('EISDIR', 'open', path)
+    if (existing && !(existing.entry.mode & 0o200)) throw error('EACCES', 'open', path)
+
+    data = Buffer.from(data)
+    if (existing) {
+      existing.entry.data = append ? Buffer.concat([existing.entry.data, data]) : data
+      existing.entry.mtimeNs = now_ns()
+      emit('change', stored_path(path))
+    } else {
+      set_child(dir, name, create_entry('file', data))
+      emit('add', stored_path(path))
+    }
+  }
+
+  var storage = {
+    async readFile(path, encoding) {
+      var entry = get(path, 'open')
+      if (entry.type === 'dir') throw error('EISDIR', 'read', path)
+      return encoding ? entry.data.toString(encoding) : Buffer.from(entry.data)
+    },
+
+    async writeFile(path, data, options = {}) {
+      write(path, data, false, options.flag === 'wx')
+    },
+
+    async appendFile(path, data) {
+      write(path, data, true)
+    },
+
+    async mkdir(path, options = {}) {
+      if (options.recursive) {
+        var current = ''
+        for (var name of split(path)) {
+          current += '/' + name
+          var entry = lookup(current)
+          if (entry && entry.type !== 'dir') throw error('ENOTDIR', 'mkdir', path)
+          if (!entry) await storage.mkdir(current)
+        }
+        return
+      }
+
+      var { dir, name } = lookup_parent(path, 'mkdir')
+      if (dir.entries.has(key(name))) throw error('EEXIST', 'mkdir', path)
+      set_child(dir, name, create_entry('dir'))
+      emit('addDir', stored_path(path))
+    },
+
+    async unlink(path) {
+      var entry = get(path, 'unlink')
+      if (entry.type === 'dir') throw error('EISDIR', 'unlink', path)
+      var event_path = stored_path(path)
+      var { dir, name } = lookup_parent(path, 'unlink')
+      delete_child(dir, name)
+      emit('unlink', event_path)
+    },
+
+    async rmdir(path) {
+      var entry = get(path, 'rmdir')
+      if (entry.type !== 'dir') throw error('ENOTDIR', 'rmdir', path)
+      if (entry.entries.size) throw error('ENOTEMPTY', 'rmdir', path)
+      var event_path = stored_path(path)
+      var { dir, name } = lookup_parent(path, 'rmdir')
+      delete_child(dir, name)
+      emit('unlinkDir', event_path)
+    },
+
+    async rename(from, to) {
+      var entry = get(from, 'rename')
+      var from_path = stored_path(from)
+      var source = lookup_parent(from, 'rename')
+      var target = lookup_parent(to, 'rename')
+
+      var existing = target.dir.entries.get(key(target.name))
+      if (existing && existing.entry !== entry) {
+        if (existing.entry.type === 'dir' && entry.type !== 'dir') throw error('EISDIR', 'rename', to)
+        if (existing.entry.type !== 'dir' && entry.type === 'dir') throw error('ENOTDIR', 'rename', to)
+        if (existing.entry.type === 'dir' && existing.entry.entries.size) throw error('ENOTEMPTY', 'rename', to)
+      }
+
+      var removed = []
+      walk(from_path, entry, (path, entry) => removed.unshift([entry.type === 'dir' ? 'unlinkDir' : 'unlink', path]))
+
+      delete_child(source.dir, source.name)
+      set_child(target.dir, target.name, entry)
+
+      for (var [event, path] of removed) emit(event, path)
+      walk(stored_path(to), entry, (path, entry) => emit(entry.type === 'dir' ? 'addDir' : (existing ? 'change' : 'add'), path))
+    },
+
+    async readdir(path) {
+      var entry = get(path, 'scandir')
+      if (entry.type !== 'dir') throw error('ENOTDIR', 'scandir', path)
+      return Array.from(entry.entries.values()).map(x => x.name)
+    },
+
+    async stat(path) {
+      var entry = get(path, 'stat')
+      return {
+        isFile: () => entry.type === 'file',
+        isDirectory: () => entry.type === 'dir',
+        size: entry.type === 'file' ? entry.data.length : 0,
+        mode: entry.mode,
+        mtimeNs: entry.mtimeNs
+      }
+    },
+
+    async chmod(path, mode) {
+      var entry = get(path, 'chmod')
+      entry.mode = (entry.mode & ~0o7777) | (mode & 0o7777)
+    },
+
+    async is_read_only(path) {
+      var entry = lookup(path)
+      return !!entry && !(entry.mode & 0o200)
+    },
+
+    async set_read_only(path, read_only) {
+      var entry = get(path, 'chmod')
+      if (read_only) entry.mode &= ~0o222
+      else entry.mode |= 0o200
+    },
+
+    createReadStream(path, options = {}) {
+      var { Readable } = require('stream')
+      var stream = new Readable({ read() {} })
+
+      // Like fs, open asynchronously and read a snapshot of the file
+      process.nextTick(() => {
+        var entry = lookup(path)
+        if (!entry || entry.type !== 'file') {
+          return stream.destroy(error(entry ? 'EISDIR' : 'ENOENT', 'open', path))
+        }
+        var start = options.start || 0
+        var end = options.end != null ? options.end + 1 : entry.data.length
+        stream.emit('open')
+        stream.push(entry.data.subarray(start, end))
+        stream.push(null)
+      })
+
+      return stream
+    },
+
+    createWriteStream(path) {
+      var { Writable } = require('stream')
+      var chunks = []
+      return new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(Buffer.from(chunk, encoding))
+          callback()
+        },
+        final(callback) {
+          storage.writeFile(path, Buffer.concat(chunks)).then(() => callback(), callback)
+        }
+      })
+    },
+
+    watch(dir, options = {}) {
+      var watcher = new EventEmitter()
+      var ignored = options.ignored || (() => false)
+      var ready = false
+      var queued = []
+
+      watcher.notify = (event, path) => {
+        if (path !== dir && !path.startsWith(dir + '/')) return
+        if (ignored(path)) return
+        if (!ready) return queued.push([event, path])
+        setImmediate(() => watcher.emit(event, path))
+      }
+
+      watcher.close = async () => {
+        watchers.delete(watcher)
+        watcher.removeAllListeners()
+      }
+
+      watchers.add(watcher)
+
+      // Report what is already there, then anything that happened meanwhile
+      setImmediate(() => {
+        var entry = lookup(dir)
+        if (entry) {
+          walk(stored_path(dir), entry, (path, entry) => {
+            if (ignored(path)) return
+            watcher.emit(entry.type === 'dir' ? 'addDir' : 'add', path)
+          })
+        }
+        ready = true
+        watcher.emit('ready')
+        for (var [event, path] of queued) watcher.notify(event, path)
+      })
+
+      return watcher
+    }
+  }
+
+  return storage
+}
+
+// -----------------------------------------------------------------------------
+// Exports
+// -----------------------------------------------------------------------------
+
+module.exports = {
+  fs_storage,
+  memory_storage
+}
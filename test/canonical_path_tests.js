@@ -88,6 +88,30 @@ async function runTest(testName, testFunction, expectedResult) {
     []
   )
 
+  await runTest(
+    'malformed percent-encoding throws InvalidPath',
+    () => {
+      try {
+        decode_path('/100%')
+      } catch (e) {
+        return `${e.name}|${e.code}|${e.path}`
+      }
+    },
+    'InvalidPath|INVALID_PATH|100%'
+  )
+
+  await runTest(
+    'non-string path throws InvalidPath',
+    () => {
+      try {
+        get_canonical_path(null)
+      } catch (e) {
+        return e.code
+      }
+    },
+    'INVALID_PATH'
+  )
+
   // ===================
   // encode_canonical_path_component
   // ===================
@@ -224,6 +224,61 @@ async function runTest(testName, testFunction, expectedResult) {
     'special chars'
   )
 
+  await runTest(
+    'write replaces file atomically via temp file and rename',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/atomic.txt', 'old content')
+
+      // Look at both files at the moment of the rename
+      var seen = null
+      var rename = db._rename
+      db._rename = async (from, to) => {
+        seen = `${fs.readFileSync(to, 'utf8')}|${fs.readFileSync(from, 'utf8')}|${require('path').dirname(from) === db_test_dir}`
+        return rename(from, to)
+      }
+      await db.write('/atomic.txt', 'new content')
+
+      var content = await db.read('/atomic.txt')
+      var entries = await fs.promises.readdir(db_test_dir)
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${seen}|${content}|${entries.join(',')}`
+    },
+    'old content|new content|true|new content|atomic.txt'
+  )
+
+  await runTest(
+    'temp files are ignored by the watcher and scanner',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var events = []
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', (db, path) => {
+        events.push(path)
+      }, null, { scan_interval_ms: 200 })
+
+      // A leftover temp file, as after a crash mid-write
+      await fs.promises.writeFile(`${db_test_dir}/.url-file-db-tmp-leftover`, 'partial')
+      await db.write('/a', 'a')
+      await db.write('/a/b', 'b')
+      await new Promise(resolve => setTimeout(resolve, 600))
+
+      var listed = db.list().sort().join(',')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${events.length}|${listed}`
+    },
+    '0|/a,/a/b'
+  )
+
   console.log('\nTesting concurrency control...\n')
 
   await runTest(
@@ -829,6 +884,420 @@ async function runTest(testName, testFunction, expectedResult) {
     'ok'
   )
 
+  await runTest(
+    'deleting the last child collapses a directory back to a file',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/a', 'a content')
+      await db.write('/a/b', 'b content')
+      await db.delete('/a/b')
+
+      var is_file = (await fs.promises.stat(`${db_test_dir}/a`)).isFile()
+      var a = await db.read('/a')
+
+      // Writing below it again converts it again
+      await db.write('/a/c', 'c content')
+      var c = await db.read('/a/c')
+      var a_again = await db.read('/a')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${is_file}|${a}|${c}|${a_again}`
+    },
+    'true|a content|c content|a content'
+  )
+
+  await runTest(
+    'late watcher events from a collapsed directory keep the file',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var events = []
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta',
+        (db, canonical_path, event) => events.push(`${event.type}:${canonical_path}`),
+        null, { storage: url_file_db.memory_storage() })
+
+      // The addDir and unlink events of the conversion arrive after the
+      // collapse
+      await db.write('/a', 'A')
+      await db.write('/a/b', 'B')
+      await db.delete('/a/b')
+      await new Promise(resolve => setTimeout(resolve, 300))
+
+      var result = [
+        await db.read('/a'),
+        db.has('/a'),
+        events.join(','),
+        (await db.fsck()).map(x => `${x.type} ${x.canonical_path}`).join(',')
+      ].join('|')
+      await db.close()
+      return result
+    },
+    'A|true||'
+  )
+
+  await runTest(
+    'a collapse waits for a write to a sibling',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null,
+        { storage: url_file_db.memory_storage() })
+
+      await db.write('/a', 'A')
+      await db.write('/a/b', 'B')
+
+      // The write to /a/c has walked past /a by the time the delete collapses it
+      var write_file = db._writeFile
+      db._writeFile = async (path, data) => {
+        await new Promise(resolve => setTimeout(resolve, 50))
+        return write_file(path, data)
+      }
+      var settled = await Promise.allSettled([db.write('/a/c', 'C'), db.delete('/a/b')])
+      db._writeFile = write_file
+
+      var result = [
+        settled.map(x => x.status === 'fulfilled' ? x.value : x.reason.code).join(','),
+        await db.read('/a/c'),
+        await db.read('/a'),
+        await db.read('/a/b')
+      ].join('|')
+      await db.close()
+      return result
+    },
+    ',true|C|A|'
+  )
+
+  await runTest(
+    'deleting removes directories left empty',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/x/y/z', 'deep')
+      await db.write('/a', 'a content')
+      await db.write('/a/b', 'b content')
+
+      await db.delete('/x/y/z')
+
+      // Deleting /a leaves its child, then deleting that leaves nothing
+      await db.delete('/a')
+      var a_is_dir = (await fs.promises.stat(`${db_test_dir}/a`)).isDirectory()
+      await db.delete('/a/b')
+
+      var entries = await fs.promises.readdir(db_test_dir)
+
+      // The paths can be written again as plain files
+      await db.write('/x', 'x file')
+      var x_is_file = (await fs.promises.stat(`${db_test_dir}/x`)).isFile()
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${a_is_dir}|${entries.join(',')}|${x_is_file}`
+    },
+    'true||true'
+  )
+
+  await runTest(
+    'delete_tree removes a subtree and returns deleted paths',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/drafts', 'drafts index')
+      await db.write('/drafts/a', 'a')
+      await db.write('/drafts/b/c', 'c')
+      await db.set_read_only('/drafts/b/c', true)
+      await db.write('/drafts-other', 'not inside')
+      await db.write('/other', 'other')
+
+      var deleted = await db.delete_tree('/drafts')
+      var nothing = await db.delete_tree('/missing')
+
+      var entries = (await fs.promises.readdir(db_test_dir)).sort()
+      var listed = db.list().sort()
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${deleted.join(',')}|${nothing.length}|${entries.join(',')}|${listed.join(',')}`
+    },
+    '/drafts,/drafts/a,/drafts/b/c|0|drafts-other,other|/drafts-other,/other'
+  )
+
+  await runTest(
+    'delete_tree is serialized against writes inside the subtree',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/drafts/existing', 'existing')
+      db._writeFile = overloaded_writeFile
+
+      // A slow write queued before is deleted, one queued after survives
+      var before = db.write('/drafts/slow', 'slow')
+      var delete_promise = db.delete_tree('/drafts')
+      var after = db.write('/drafts/after', 'after')
+
+      var deleted = await delete_promise
+      await Promise.all([before, after])
+
+      var slow = await db.read('/drafts/slow')
+      var after_content = await db.read('/drafts/after')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${deleted.join(',')}|${slow}|${after_content}`
+    },
+    '/drafts/existing,/drafts/slow|null|after'
+  )
+
+  await runTest(
+    'a subtree lock waits for one held below it',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null,
+        { storage: url_file_db.memory_storage() })
+      await db.write('/a/1', '1')
+      await db.write('/a/2', '2')
+
+      var unlink = db._unlink
+      db._unlink = async path => {
+        await new Promise(resolve => setTimeout(resolve, 30))
+        await unlink(path)
+        order.push('unlink')
+      }
+      var order = []
+      var deleted = db.delete_tree('/a')
+      var issues = await db.fsck()
+      order.push('fsck')
+      await deleted
+
+      await db.close()
+      return `${order.join(',')}|${issues.map(x => `${x.type} ${x.canonical_path}`).join(',')}`
+    },
+    'unlink,unlink,fsck|'
+  )
+
+  console.log('\nTesting conditional writes and deletes...\n')
+
+  await runTest(
+    'write with if_match only replaces the expected version',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      await db.write('/doc', 'v1')
+      var v1 = await db.get_version('/doc')
+      await db.write('/doc', 'v2', { if_match: v1 })
+      var v2 = await db.get_version('/doc')
+
+      var error = await db.write('/doc', 'v3', { if_match: v1 }).catch(e => e)
+      var content = (await db.read('/doc')).toString()
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return [
+        content,
+        error instanceof url_file_db.Conflict,
+        error.code,
+        error.condition,
+        error.version === v2
+      ].join('|')
+    },
+    'v2|true|CONFLICT|if_match|true'
+  )
+
+  await runTest(
+    'write with if_none_match * only creates',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      await db.write('/new', 'first', { if_none_match: '*' })
+      var error = await db.write('/new', 'second', { if_none_match: '*' }).catch(e => e.condition)
+      var missing = await db.write('/other', 'x', { if_match: '*' }).catch(e => `${e.condition}:${e.version}`)
+
+      var result = `${await db.read('/new')}|${error}|${missing}|${await db.read('/other')}`
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    'first|if_none_match|if_match:null|null'
+  )
+
+  await runTest(
+    'conditional delete checks if_match and if_unmodified_since',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      await db.write('/doc', 'content')
+      var mtime_ns = db.get_meta('/doc').mtime_ns
+      var stale = await db.delete('/doc', { if_match: 'not-the-version' }).catch(e => e.condition)
+      var too_old = await db.delete('/doc', { if_unmodified_since: BigInt(mtime_ns) - 1n }).catch(e => e.condition)
+      var deleted = await db.delete('/doc', { if_unmodified_since: mtime_ns, if_match: await db.get_version('/doc') })
+
+      var result = `${stale}|${too_old}|${deleted}|${await db.read('/doc')}`
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    'if_match|if_unmodified_since|true|null'
+  )
+
+  await runTest(
+    'concurrent writes with the same if_match: exactly one wins',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      await db.write('/counter', '0')
+      var version = await db.get_version('/counter')
+      var results = await Promise.allSettled(['a', 'b', 'c'].map(x =>
+        db.write('/counter', x, { if_match: version })))
+
+      var fulfilled = results.filter(r => r.status === 'fulfilled').length
+      var conflicts = results.filter(r => r.status === 'rejected' && r.reason.code === 'CONFLICT').length
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return `${fulfilled}|${conflicts}`
+    },
+    '1|2'
+  )
+
+  await runTest(
+    'if_match sees external edits not yet processed',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { stability_threshold: 2000 })
+
+      await db.write('/doc', 'ours')
+      var version = await db.get_version('/doc')
+      await new Promise(resolve => setTimeout(resolve, 20))
+      await fs.promises.writeFile(db_test_dir + '/doc', 'theirs')
+
+      var error = await db.write('/doc', 'overwrite', { if_match: version }).catch(e => e.condition)
+      var content = (await db.read('/doc')).toString()
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return `${error}|${content}`
+    },
+    'if_match|theirs'
+  )
+
+  console.log('\nTesting db.rename...\n')
+
+  await runTest(
+    'rename moves content, metadata and read-only flag',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var events = []
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', (db, path, event) => {
+        events.push(`${event.type}:${path}`)
+      })
+
+      await db.write('/old.txt', 'content')
+      await db.update_meta('/old.txt', { custom: 'kept' })
+      await db.set_read_only('/old.txt', true)
+
+      var result = await db.rename('/old.txt', '/moved/CON')
+      await new Promise(resolve => setTimeout(resolve, 500))
+
+      var content = await db.read('/moved/CON')
+      var old_content = await db.read('/old.txt')
+      var meta = db.get_meta('/moved/CON')
+      var read_only = await db.is_read_only('/moved/CON')
+      var on_disk = fs.existsSync(`${db_test_dir}/moved/CO%4E`) && !fs.existsSync(`${db_test_dir}/old.txt`)
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${result}|${content}|${old_content}|${meta.custom}|${meta.canonical_path}|${db.has('/old.txt')}|${read_only}|${on_disk}|${events.join(',')}`
+    },
+    'true|content|null|kept|/moved/CON|false|true|true|'
+  )
+
+  await runTest(
+    'rename below an existing file converts it to a directory',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/a', 'a content')
+      await db.write('/b', 'b content')
+      await db.rename('/b', '/a/b')
+
+      var a = await db.read('/a')
+      var ab = await db.read('/a/b')
+      var has_index = fs.existsSync(`${db_test_dir}/a/index`)
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${a}|${ab}|${has_index}`
+    },
+    'a content|b content|true'
+  )
+
+  await runTest(
+    'rename a file to a path below itself',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/a', 'a content')
+      var result = await db.rename('/a', '/a/b')
+
+      var a = await db.read('/a')
+      var ab = await db.read('/a/b')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${result}|${a}|${ab}|${db.list().join(',')}`
+    },
+    'true|null|a content|/a/b'
+  )
+
+  await runTest(
+    'rename of missing file returns false',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      var result = await db.rename('/missing', '/other')
+      var has_other = fs.existsSync(`${db_test_dir}/other`)
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${result}|${has_other}`
+    },
+    'false|false'
+  )
+
   console.log('\nTesting case-insensitive filesystem features (if applicable)...\n')
 
   await runTest(
@@ -1142,6 +1611,8 @@ async function runTest(testName, testFunction, expectedResult) {
       // Wait for chokidar to detect all the filesystem changes
       await new Promise(resolve => setTimeout(resolve, 500))
 
+      // Stop watching so the cleanup below isn't reported as deletions
+      await db.close()
       await fs.promises.rm(db_test_dir, { recursive: true, force: true })
       await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
 
@@ -1174,6 +1645,8 @@ async function runTest(testName, testFunction, expectedResult) {
       // Wait for chokidar to detect the external write
       await new Promise(resolve => setTimeout(resolve, 300))
 
+      // Stop watching so the cleanup below isn't reported as deletions
+      await db.close()
       await fs.promises.rm(db_test_dir, { recursive: true, force: true })
       await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
 
@@ -1183,48 +1656,187 @@ async function runTest(testName, testFunction, expectedResult) {
     'ok'
   )
 
-  console.log('\nTesting read-only functionality...\n')
-
   await runTest(
-    'check and set read-only status for file',
+    'callback receives add, change and delete events',
     async () => {
       var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
-      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
-
-      var key = url_file_db.get_canonical_path('/test/file.txt')
-      await db.write(key, 'test content')
+      var events = []
 
-      // Initially should not be read-only
-      var initial_ro = await db.is_read_only(key)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', (db, path, event) => {
+        events.push(`${event.type}:${event.canonical_path}:${typeof event.mtime_ns}`)
+      })
 
-      // Set to read-only
-      var set_ro_result = await db.set_read_only(key, true)
-      var is_ro = await db.is_read_only(key)
+      var external_file = db_test_dir + '/events.txt'
+      await fs.promises.writeFile(external_file, 'v1')
+      await new Promise(resolve => setTimeout(resolve, 500))
+      await fs.promises.writeFile(external_file, 'v2')
+      await new Promise(resolve => setTimeout(resolve, 500))
+      await fs.promises.unlink(external_file)
+      await new Promise(resolve => setTimeout(resolve, 500))
 
-      // Set back to writable
-      var set_rw_result = await db.set_read_only(key, false)
-      var is_rw = await db.is_read_only(key)
+      var has_after = db.has('/events.txt')
+      await db.close()
 
       await fs.promises.rm(db_test_dir, { recursive: true, force: true })
       await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
 
-      return !initial_ro && set_ro_result && is_ro && set_rw_result && !is_rw ? 'ok' : 'failed'
+      return `${events.join(',')}|${has_after}`
     },
-    'ok'
+    'add:/events.txt:string,change:/events.txt:string,delete:/events.txt:string|false'
   )
 
   await runTest(
-    'read-only status for non-existent file returns false',
+    'callback receives delete events for a removed directory subtree',
     async () => {
       var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
-      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+      var deleted = []
 
-      var key = url_file_db.get_canonical_path('/nonexistent/file.txt')
-      var is_ro = await db.is_read_only(key)
-      var set_result = await db.set_read_only(key, true)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', (db, path, event) => {
+        if (event.type === 'delete') deleted.push(path)
+      })
 
-      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
-      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      await fs.promises.mkdir(db_test_dir + '/dir/sub', { recursive: true })
+      await fs.promises.writeFile(db_test_dir + '/dir/index', 'dir')
+      await fs.promises.writeFile(db_test_dir + '/dir/sub/file.txt', 'file')
+      await new Promise(resolve => setTimeout(resolve, 500))
+
+      await fs.promises.rm(db_test_dir + '/dir', { recursive: true })
+      await new Promise(resolve => setTimeout(resolve, 500))
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return deleted.sort().join(',')
+    },
+    '/dir,/dir/sub/file.txt'
+  )
+
+  await runTest(
+    'periodic scan reports deletions chokidar missed',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var deleted = []
+
+      // Hide unlink events from the watcher so only the scanner can notice
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', (db, path, event) => {
+        if (event.type === 'delete') deleted.push(path)
+      }, (fullpath, event) => !event.startsWith('unlink'), { scan_interval_ms: 300 })
+
+      await db.write('/scanned.txt', 'content')
+      await fs.promises.unlink(db_test_dir + '/scanned.txt')
+      await new Promise(resolve => setTimeout(resolve, 800))
+
+      var has_after = db.has('/scanned.txt')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${deleted.join(',')}|${has_after}`
+    },
+    '/scanned.txt|false'
+  )
+
+  await runTest(
+    'file-to-directory conversion does not report a delete',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var events = []
+
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', (db, path, event) => {
+        events.push(`${event.type}:${path}`)
+      })
+
+      await db.write('/a', 'a content')
+      await new Promise(resolve => setTimeout(resolve, 300))
+      await db.write('/a/b', 'b content')
+      await new Promise(resolve => setTimeout(resolve, 500))
+
+      var has_a = db.has('/a')
+      var a = await db.read('/a')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${events.filter(e => e.startsWith('delete')).join(',')}|${has_a}|${a}`
+    },
+    '|true|a content'
+  )
+
+  await runTest(
+    'callback ignores external touches that keep the same content',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var events = []
+
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', (db, path, event) => {
+        events.push(`${event.type}:${path}`)
+      })
+
+      await fs.promises.writeFile(db_test_dir + '/touched.txt', 'same')
+      await new Promise(resolve => setTimeout(resolve, 400))
+      var touch = async seconds => {
+        var time = new Date(Date.now() + seconds * 1000)
+        await fs.promises.utimes(db_test_dir + '/touched.txt', time, time)
+        await new Promise(resolve => setTimeout(resolve, 400))
+      }
+      await touch(10)
+      await fs.promises.writeFile(db_test_dir + '/touched.txt', 'different')
+      await touch(20)
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return events.join(',')
+    },
+    'add:/touched.txt,change:/touched.txt'
+  )
+
+  console.log('\nTesting read-only functionality...\n')
+
+  await runTest(
+    'check and set read-only status for file',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      var key = url_file_db.get_canonical_path('/test/file.txt')
+      await db.write(key, 'test content')
+
+      // Initially should not be read-only
+      var initial_ro = await db.is_read_only(key)
+
+      // Set to read-only
+      var set_ro_result = await db.set_read_only(key, true)
+      var is_ro = await db.is_read_only(key)
+
+      // Set back to writable
+      var set_rw_result = await db.set_read_only(key, false)
+      var is_rw = await db.is_read_only(key)
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return !initial_ro && set_ro_result && is_ro && set_rw_result && !is_rw ? 'ok' : 'failed'
+    },
+    'ok'
+  )
+
+  await runTest(
+    'read-only status for non-existent file returns false',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      var key = url_file_db.get_canonical_path('/nonexistent/file.txt')
+      var is_ro = await db.is_read_only(key)
+      var set_result = await db.set_read_only(key, true)
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
 
       return !is_ro && !set_result ? 'ok' : 'failed'
     },
@@ -1381,6 +1993,95 @@ async function runTest(testName, testFunction, expectedResult) {
     'ok'
   )
 
+  await runTest(
+    'db.list(prefix, options) walks the node tree',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/docs', 'docs')
+      await db.write('/docs/a', 'a')
+      await db.write('/docs/b/c', 'c')
+      await db.write('/docs/b/c/d', 'd')
+      await db.write('/other', 'other')
+
+      var all = db.list('/docs').sort().join(',')
+      var shallow = db.list('/docs', { recursive: false }).sort().join(',')
+      var depth_2 = db.list('/docs', { depth: 2 }).sort().join(',')
+      var with_meta = db.list('/docs/a', { include_meta: true })
+      var missing = db.list('/missing').length
+      var everything = db.list().length
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${all}|${shallow}|${depth_2}|${with_meta[0].canonical_path}:${!!with_meta[0].meta.mtime_ns}|${missing}|${everything}`
+    },
+    '/docs,/docs/a,/docs/b/c,/docs/b/c/d|/docs,/docs/a|/docs,/docs/a,/docs/b/c|/docs/a:true|0|5'
+  )
+
+  await runTest(
+    'db.children() reports content and children flags',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/site/page', 'page')
+      await db.write('/site/section', 'section')
+      await db.write('/site/section/child', 'child')
+      await db.write('/site/folder/deep', 'deep')
+
+      var children = db.children('/site')
+        .map(c => `${c.name}:${c.canonical_path}:${c.has_content}:${c.has_children}`)
+      var missing = db.children('/missing')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${children.join(',')}|${missing}`
+    },
+    'folder:/site/folder:false:true,page:/site/page:true:false,section:/site/section:true:true|null'
+  )
+
+  await runTest(
+    'failed writes leave nothing in listings',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+      await db.write('/a', 'a')
+
+      var rename = db._rename
+      db._rename = async () => {
+        throw Object.assign(new Error('EIO: i/o error'), { code: 'EIO', syscall: 'rename' })
+      }
+      var errors = [
+        await db.write('/b', 'b').catch(e => e.code),
+        await db.rename('/a', '/c').catch(e => e.code)
+      ]
+      db._rename = rename
+
+      var stream = await db.write_stream('/phantom')
+      stream.write('partial')
+      stream.destroy()
+      await new Promise(resolve => stream.on('close', resolve))
+      await db.write('/a', 'a')  // Waits for the stream's fiber
+
+      var result = [
+        errors.join(','),
+        db.list('/').join(','),
+        db.children('/').map(c => `${c.name}:${c.has_content}`).join(',')
+      ].join('|')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    'IO_ERROR,IO_ERROR|/a|a:true'
+  )
+
   await runTest(
     'meta data operations (get/set/update)',
     async () => {
@@ -1420,6 +2121,7 @@ async function runTest(testName, testFunction, expectedResult) {
       var db1 = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
       await db1.write('/persist.txt', 'content')
       await db1.update_meta('/persist.txt', { custom_data: 'test' })
+      await db1.close()
 
       // Second instance - should load existing meta
       var callback_count = 0
@@ -1455,6 +2157,42 @@ async function runTest(testName, testFunction, expectedResult) {
     'ok'
   )
 
+  await runTest(
+    'startup reconciles metadata with changes made while closed',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+
+      var db1 = await url_file_db.create(db_test_dir, meta_dir)
+      await db1.write('/kept.txt', 'kept')
+      await db1.write('/edited.txt', 'before')
+      await db1.write('/dir/gone.txt', 'gone')
+      await db1.close()
+
+      // Changes made while no db is running
+      await new Promise(resolve => setTimeout(resolve, 20))
+      await fs.promises.writeFile(db_test_dir + '/edited.txt', 'after')
+      await fs.promises.writeFile(db_test_dir + '/new.txt', 'new')
+      await fs.promises.rm(db_test_dir + '/dir', { recursive: true })
+
+      var events = []
+      var db2 = await url_file_db.create(db_test_dir, meta_dir, (_db, path, event) => events.push(event.type + ' ' + path))
+      var result = [
+        JSON.stringify(db2.ready),
+        events.sort().join(','),
+        db2.list().sort().join(','),
+        db2.has('/dir/gone.txt')
+      ].join('|')
+      await db2.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return result
+    },
+    '{"added":["/new.txt"],"modified":["/edited.txt"],"deleted":["/dir/gone.txt"]}|' +
+    'add /new.txt,change /edited.txt,delete /dir/gone.txt|/edited.txt,/kept.txt,/new.txt|false'
+  )
+
   await runTest(
     'custom meta directory configuration',
     async () => {
@@ -1663,6 +2401,1992 @@ async function runTest(testName, testFunction, expectedResult) {
     'ok'
   )
 
+  await runTest(
+    'db.write records a content hash as the version',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      var sha256 = x => require('crypto').createHash('sha256').update(x).digest('hex')
+
+      await db.write('/doc', 'hello')
+      var after_write = await db.get_version('/doc')
+      var meta_hash = db.get_meta('/doc').hash
+      var ws = await db.write_stream('/doc')
+      ws.end('streamed')
+      await require('stream').promises.finished(ws)
+      var after_stream = await db.get_version('/doc')
+
+      var result = [
+        after_write === sha256('hello'),
+        meta_hash === after_write,
+        after_stream === sha256('streamed'),
+        await db.get_version('/missing')
+      ].join('|')
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    'true|true|true|'
+  )
+
+  await runTest(
+    'hash_algorithm option selects the digest',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { hash_algorithm: 'md5' })
+      await db.write('/doc', 'hello')
+      var version = await db.get_version('/doc')
+      await db.close()
+
+      var error = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { hash_algorithm: 'nope' })
+        .then(() => 'created', e => e.message)
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return `${version === require('crypto').createHash('md5').update('hello').digest('hex')}|${error}`
+    },
+    'true|url-file-db: unsupported hash_algorithm: nope'
+  )
+
+  await runTest(
+    'db.get_version hashes files from older metadata',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/old', 'legacy')
+      var meta = { ...db.get_meta('/old') }
+      delete meta.hash
+      await db.set_meta('/old', meta)
+
+      var version = await db.get_version('/old')
+      var stored = db.get_meta('/old').hash
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return `${version === require('crypto').createHash('sha256').update('legacy').digest('hex')}|${stored === version}`
+    },
+    'true|true'
+  )
+
+  console.log('\nTesting streaming reads and writes...\n')
+
+  async function read_all(stream) {
+    var chunks = []
+    for await (var chunk of stream) chunks.push(chunk)
+    return Buffer.concat(chunks).toString()
+  }
+
+  await runTest(
+    'write_stream then read_stream round trip',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var events = []
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', (db, path) => events.push(path))
+
+      var ws = await db.write_stream('/media/video.bin')
+      await require('stream').promises.pipeline(require('stream').Readable.from(['hello ', 'streaming ', 'world']), ws)
+
+      var whole = await read_all(await db.read_stream('/media/video.bin'))
+      var range = await read_all(await db.read_stream('/media/video.bin', { start: 6, end: 14 }))
+      var missing = await db.read_stream('/media/missing.bin')
+      var has = db.has('/media/video.bin')
+
+      await new Promise(resolve => setTimeout(resolve, 300))
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${whole}|${range}|${missing}|${has}|${events.length}`
+    },
+    'hello streaming world|streaming|null|true|0'
+  )
+
+  await runTest(
+    'write_stream converts a file to a directory',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/a', 'a content')
+      var ws = await db.write_stream('/a/b')
+      ws.end('b content')
+      await require('stream').promises.finished(ws)
+
+      var a = await read_all(await db.read_stream('/a'))
+      var b = await db.read('/a/b')
+      var has_index = fs.existsSync(`${db_test_dir}/a/index`)
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${a}|${b}|${has_index}`
+    },
+    'a content|b content|true'
+  )
+
+  await runTest(
+    'write_stream holds the path until it finishes',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/file.txt', 'v1')
+      var ws = await db.write_stream('/file.txt')
+      ws.write('v2 part 1, ')
+
+      // Queued behind the open stream, so it sees the finished v2
+      var read_promise = db.read('/file.txt')
+      await new Promise(resolve => setTimeout(resolve, 50))
+      ws.end('part 2')
+
+      var content = (await read_promise).toString()
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return content
+    },
+    'v2 part 1, part 2'
+  )
+
+  await runTest(
+    'destroyed write_stream leaves the old content',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/file.txt', 'original')
+      var ws = await db.write_stream('/file.txt')
+      ws.on('error', () => {})
+      ws.write('partial')
+      ws.destroy(new Error('client went away'))
+
+      var content = (await db.read('/file.txt')).toString()
+      var entries = await fs.promises.readdir(db_test_dir)
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${content}|${entries.join(',')}`
+    },
+    'original|file.txt'
+  )
+
+  console.log('\nTesting http_handler...\n')
+
+  // Serves handler on a local port for the duration of fn(base_url)
+  async function with_server(handler, fn) {
+    var server = require('http').createServer(handler)
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    try {
+      return await fn(`http://127.0.0.1:${server.address().port}`)
+    } finally {
+      await new Promise(resolve => server.close(resolve))
+    }
+  }
+
+  await runTest(
+    'http_handler supports PUT, GET, HEAD and DELETE',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      var result = await with_server(db.http_handler(), async base => {
+        // fetch sends strings as text/plain unless told otherwise
+        var headers = { 'Content-Type': 'text/html; charset=utf-8' }
+        var created = await fetch(base + '/pages/hello.html', { method: 'PUT', headers, body: '<p>hi</p>' })
+        var replaced = await fetch(base + '/pages/hello.html', { method: 'PUT', headers, body: '<p>hello</p>' })
+        var get = await fetch(base + '/pages/hello.html?ignored=1')
+        var body = await get.text()
+        var head = await fetch(base + '/pages/hello.html', { method: 'HEAD' })
+        var deleted = await fetch(base + '/pages/hello.html', { method: 'DELETE' })
+        var missing = await fetch(base + '/pages/hello.html')
+
+        return [
+          created.status,
+          replaced.status,
+          get.status,
+          body,
+          get.headers.get('content-type'),
+          get.headers.get('content-length'),
+          get.headers.get('etag') === `"${require('crypto').createHash('sha256').update('<p>hello</p>').digest('hex')}"`,
+          get.headers.get('etag') === replaced.headers.get('etag'),
+          !!get.headers.get('last-modified'),
+          head.status,
+          head.headers.get('content-length'),
+          deleted.status,
+          missing.status
+        ].join('|')
+      })
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    '201|204|200|<p>hello</p>|text/html; charset=utf-8|12|true|true|true|200|12|204|404'
+  )
+
+  await runTest(
+    'http_handler serves byte ranges',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/data', 'hello world')
+
+      var result = await with_server(db.http_handler(), async base => {
+        var results = []
+        for (var range of ['bytes=2-4', 'bytes=6-', 'bytes=-3', 'bytes=100-']) {
+          var response = await fetch(base + '/data', { headers: { Range: range } })
+          results.push(`${response.status}:${await response.text()}:${response.headers.get('content-range')}`)
+        }
+        var stale = await fetch(base + '/data', { headers: { Range: 'bytes=0-1', 'If-Range': '"old"' } })
+        results.push(`${stale.status}:${await stale.text()}`)
+        return results.join('|')
+      })
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    '206:llo:bytes 2-4/11|206:world:bytes 6-10/11|206:rld:bytes 8-10/11|416::bytes */11|200:hello world'
+  )
+
+  await runTest(
+    'http_handler serves the version its headers describe when a write lands mid-request',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/data', 'short')
+
+      // Sneak a write in after the handler's db.stat
+      var read_stream = db.read_stream
+      var sneaked = false
+      db.read_stream = async (path, options) => {
+        if (!sneaked) {
+          sneaked = true
+          await db.write('/data', 'a good deal longer')
+        }
+        return read_stream(path, options)
+      }
+
+      var result = await with_server(db.http_handler(), async base => {
+        var response = await fetch(base + '/data')
+        var body = await response.text()
+        return [
+          body,
+          response.headers.get('content-length'),
+          response.headers.get('etag') === `"${await db.get_version('/data')}"`
+        ].join('|')
+      })
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    'a good deal longer|18|true'
+  )
+
+  await runTest(
+    'http_handler gives up with 503 on a resource that keeps changing',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null,
+        { storage: url_file_db.memory_storage() })
+      await db.write('/data', 'v0')
+
+      // A write lands after every db.stat the handler makes
+      var read_stream = db.read_stream
+      var writes = 0
+      db.read_stream = async (path, options = {}) => {
+        if (options.if_match) await db.write('/data', 'v' + ++writes)
+        return read_stream(path, options)
+      }
+
+      var result = await with_server(db.http_handler(), async base => {
+        var response = await fetch(base + '/data')
+        return `${response.status}|${response.headers.get('retry-after')}|${writes}`
+      })
+
+      await db.close()
+      return result
+    },
+    '503|1|3'
+  )
+
+  await runTest(
+    'http_handler answers conditional requests',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/doc', 'v1')
+
+      var result = await with_server(db.http_handler(), async base => {
+        var first = await fetch(base + '/doc')
+        var etag = first.headers.get('etag')
+        var last_modified = first.headers.get('last-modified')
+
+        var by_etag = await fetch(base + '/doc', { headers: { 'If-None-Match': etag } })
+        var by_date = await fetch(base + '/doc', { headers: { 'If-Modified-Since': last_modified } })
+        var updated = await fetch(base + '/doc', { method: 'PUT', body: 'v2', headers: { 'If-Match': etag } })
+        var stale = await fetch(base + '/doc', { method: 'PUT', body: 'v3', headers: { 'If-Match': etag } })
+        var create_only = await fetch(base + '/doc', { method: 'PUT', body: 'v4', headers: { 'If-None-Match': '*' } })
+        var stale_delete = await fetch(base + '/doc', { method: 'DELETE', headers: { 'If-Match': etag } })
+        var changed = await fetch(base + '/doc', { headers: { 'If-None-Match': etag } })
+
+        return [by_etag.status, by_date.status, updated.status, stale.status,
+          create_only.status, stale_delete.status, changed.status, await changed.text()].join('|')
+      })
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    '304|304|204|412|412|412|200|v2'
+  )
+
+  await runTest(
+    'http_handler honours read-only files and unsupported methods',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/locked', 'original')
+      await db.set_read_only('/locked', true)
+
+      var result = await with_server(db.http_handler(), async base => {
+        var put = await fetch(base + '/locked', { method: 'PUT', body: 'changed' })
+        var post = await fetch(base + '/locked', { method: 'POST', body: 'x' })
+        return `${put.status}|${post.status}|${post.headers.get('allow')}|${await db.read('/locked')}`
+      })
+
+      var fell_through = await with_server((req, res) => db.http_handler()(req, res, () => {
+        res.writeHead(418)
+        res.end()
+      }), async base => {
+        var missing = await fetch(base + '/missing')
+        var post = await fetch(base + '/locked', { method: 'POST' })
+        return `${missing.status}|${post.status}`
+      })
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return `${result}|${fell_through}`
+    },
+    '403|405|GET, HEAD, PUT, DELETE|original|418|418'
+  )
+
+  await runTest(
+    'http_handler refuses a file made read-only after it looked',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null,
+        { storage: url_file_db.memory_storage() })
+      await db.write('/locked', 'original')
+
+      // The flag is set right after the handler's db.stat
+      var stat = db.stat
+      db.stat = async path => {
+        var result = await stat(path)
+        await db.set_read_only(path, true)
+        return result
+      }
+
+      var result = await with_server(db.http_handler(), async base => {
+        var put = await fetch(base + '/locked', { method: 'PUT', body: 'changed' })
+        var deleted = await fetch(base + '/locked', { method: 'DELETE' })
+        return `${put.status}|${deleted.status}`
+      })
+      db.stat = stat
+      var content = await db.read('/locked')
+
+      await db.close()
+      return `${result}|${content}`
+    },
+    '403|403|original'
+  )
+
+  await runTest(
+    'http_handler answers 403 when the directory for a PUT cannot be created',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { storage: url_file_db.memory_storage() })
+      db._mkdir = async path => {
+        throw Object.assign(new Error(`EACCES: permission denied, mkdir '${path}'`), { code: 'EACCES', syscall: 'mkdir', path })
+      }
+
+      var result = await with_server(db.http_handler(), async base => {
+        var put = await fetch(base + '/dir/file', { method: 'PUT', body: 'x' })
+        return put.status
+      })
+      var error = await db.write_stream('/dir/file').catch(e => e.code)
+      var listed = await db.list()
+
+      await db.close()
+      return `${result}|${error}|${listed.length}`
+    },
+    '403|READ_ONLY|0'
+  )
+
+  await runTest(
+    'db.on_change reports db and external changes',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      var events = []
+      var unsubscribe = db.on_change(event => events.push(`${event.type}:${event.canonical_path}:${!!event.version}`))
+
+      await db.write('/a', 'one')
+      await db.write('/a', 'two')
+      await db.rename('/a', '/b')
+      await db.delete('/b')
+      await fs.promises.writeFile(db_test_dir + '/external', 'outside')
+      await new Promise(resolve => setTimeout(resolve, 400))
+      unsubscribe()
+      await db.write('/c', 'unheard')
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return events.join(',')
+    },
+    'add:/a:true,change:/a:true,delete:/a:false,add:/b:true,delete:/b:false,add:/external:true'
+  )
+
+  await runTest(
+    'http_handler pushes Braid updates to subscribers',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/live.txt', 'v1')
+      var sha256 = x => require('crypto').createHash('sha256').update(x).digest('hex')
+
+      var result = await with_server(db.http_handler(), async base => {
+        var controller = new AbortController()
+        var response = await fetch(base + '/live.txt', { headers: { Subscribe: 'true' }, signal: controller.signal })
+        var reader = response.body.getReader()
+        var text = ''
+        var read_until = async pattern => {
+          while (!text.includes(pattern)) text += new TextDecoder().decode((await reader.read()).value)
+        }
+
+        await read_until('v1\r\n\r\n')
+        await db.write('/live.txt', 'v2')
+        await read_until('v2\r\n\r\n')
+        await fs.promises.writeFile(db_test_dir + '/live.txt', 'v3')
+        await read_until('v3\r\n\r\n')
+        controller.abort()
+
+        return `${response.status}|${response.headers.get('subscribe')}|` + text
+          .replaceAll(sha256('v1'), 'V1').replaceAll(sha256('v2'), 'V2').replaceAll(sha256('v3'), 'V3')
+          .replaceAll('\r\n', '/')
+      })
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    '209|true|' +
+      'Version: "V1"/Content-Length: 2//v1//' +
+      'Version: "V2"/Parents: "V1"/Content-Length: 2//v2//' +
+      'Version: "V3"/Parents: "V2"/Content-Length: 2//v3//'
+  )
+
+  await runTest(
+    'db.close ends open subscriptions',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/live.txt', 'v1')
+
+      var result = await with_server(db.http_handler(), async base => {
+        var response = await fetch(base + '/live.txt', { headers: { Subscribe: 'true' } })
+        var body = response.text()
+
+        await db.close()
+        var ended = await Promise.race([
+          body.then(() => true),
+          new Promise(resolve => setTimeout(() => resolve(false), 500))
+        ])
+        return `${response.status}|${ended}`
+      })
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    '209|true'
+  )
+
+  console.log('\nTesting the change feed...\n')
+
+  // Takes the next n entries from an async iterator
+  async function take(iterator, n) {
+    var entries = []
+    while (entries.length < n) {
+      var { value, done } = await iterator.next()
+      if (done) break
+      entries.push(value)
+    }
+    return entries
+  }
+
+  await runTest(
+    'db.changes replays the log and then tails live changes',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      await db.write('/a', 'one')
+      await db.write('/docs/b', 'two')
+      await db.delete('/a')
+
+      var all = db.changes()
+      var replayed = await take(all, 3)
+      var live = take(all, 1)
+      await db.write('/docs/c', 'three')
+      var tailed = await live
+
+      var docs = await take(db.changes({ since: 1, prefix: '/docs' }), 2)
+
+      await db.close()
+      var ended = await all.next()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      var format = entries => entries.map(e => `${e.seq}:${e.type}:${e.canonical_path}`).join(',')
+      return `${format(replayed)}|${format(tailed)}|${format(docs)}|${ended.done}`
+    },
+    '1:add:/a,2:add:/docs/b,3:delete:/a|4:add:/docs/c|2:add:/docs/b,4:add:/docs/c|true'
+  )
+
+  await runTest(
+    'db.changes resumes across restarts',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/a', 'one')
+      await db.write('/b', 'two')
+      var last_seen = (await take(db.changes(), 1))[0].seq
+      await db.close()
+
+      db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/c', 'three')
+      var resumed = await take(db.changes({ since: last_seen }), 2)
+      var paths = db.get_all_meta_paths().sort().join(',')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return `${resumed.map(e => `${e.seq}:${e.canonical_path}`).join(',')}|${paths}`
+    },
+    '2:/b,3:/c|/a,/b,/c'
+  )
+
+  await runTest(
+    'the change log rotates and keeps numbering across restarts',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var options = { change_log_bytes: 200 }
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, options)
+      for (var i = 1; i <= 10; i++) await db.write('/f' + i, 'x')
+      await db.close()
+
+      db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, options)
+      await db.write('/g', 'y')
+      var lost = await take(db.changes(), 1).catch(e => e.code)
+      var resumed = await take(db.changes({ since: 9 }), 2)
+      var logs = (await fs.promises.readdir(db_test_dir + '-meta')).filter(x => x.startsWith('changes')).sort()
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return [lost, resumed.map(e => `${e.seq}:${e.canonical_path}`).join(','), logs.join(',')].join('|')
+    },
+    'CHANGES_LOST|10:/f10,11:/g|changes.log,changes.old.log'
+  )
+
+  await runTest(
+    'db.changes throws ChangesLost once since has rotated out',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+      var storage = url_file_db.memory_storage()
+      var db = await url_file_db.create(db_test_dir, meta_dir, null, null, { storage, change_log_bytes: 200 })
+
+      // Rotate twice, so the first rotated log is gone
+      var rotations = 0
+      var rename = storage.rename
+      storage.rename = async (from, to) => {
+        if (to === meta_dir + '/changes.old.log') rotations++
+        return rename.call(storage, from, to)
+      }
+      for (var i = 1; rotations < 2; i++) await db.write('/f' + i, 'x')
+
+      var error = await take(db.changes({ since: 1 }), 1).catch(e => e)
+      var from_oldest = await take(db.changes({ since: error.oldest - 1 }), 1)
+      var current = await take(db.changes({ since: i - 2 }), 1)
+      await db.close()
+      return [
+        error.code,
+        error.since,
+        error.oldest > 2,
+        from_oldest[0].seq === error.oldest,
+        current[0].canonical_path === '/f' + (i - 1)
+      ].join('|')
+    },
+    'CHANGES_LOST|1|true|true|true'
+  )
+
+  await runTest(
+    'a failed change log append is reported and retried',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var storage = url_file_db.memory_storage()
+      var append_file = storage.appendFile
+      var full = false
+      storage.appendFile = async (path, data) => {
+        if (full && path.endsWith('/changes.log')) {
+          throw Object.assign(new Error('ENOSPC: no space left on device'), { code: 'ENOSPC', syscall: 'write' })
+        }
+        return append_file.call(storage, path, data)
+      }
+      var errors = []
+      var logger = { error: message => errors.push(message) }
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { storage, logger })
+
+      // The delete happened, so it resolves even though it isn't logged yet
+      await db.write('/a', 'A')
+      full = true
+      var deleted = await db.delete('/a')
+      full = false
+      await db.write('/b', 'B')
+      var logged = (await storage.readFile(db_test_dir + '-meta/changes.log', 'utf8'))
+        .split('\n').filter(x => x).map(x => JSON.parse(x))
+      await db.close()
+      return [
+        deleted,
+        Array.from(new Set(errors)).join(','),
+        logged.map(e => `${e.seq}:${e.type}:${e.canonical_path}`).join(',')
+      ].join('|')
+    },
+    'true|url-file-db: error appending to the change log|1:add:/a,2:delete:/a,3:add:/b'
+  )
+
+  await runTest(
+    'a write whose metadata cannot be recorded rejects',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var storage = url_file_db.memory_storage()
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { storage, logger: {} })
+
+      var write_file = storage.writeFile
+      storage.writeFile = async (path, data, options) => {
+        if (path.startsWith(db_test_dir + '-meta/')) {
+          throw Object.assign(new Error('EIO: i/o error, write'), { code: 'EIO', syscall: 'write' })
+        }
+        return write_file.call(storage, path, data, options)
+      }
+      var error = await db.write('/a', 'A').catch(e => e.name)
+      storage.writeFile = write_file
+      var content = await db.read('/a')
+      await db.close()
+      return `${error}|${content}`
+    },
+    'IOError|A'
+  )
+
+  await runTest(
+    'db.changes includes external edits',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      var feed = db.changes()
+      var next = take(feed, 2)
+
+      await fs.promises.writeFile(db_test_dir + '/outside', 'x')
+      await new Promise(resolve => setTimeout(resolve, 300))
+      await fs.promises.unlink(db_test_dir + '/outside')
+      var entries = await next
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return entries.map(e => `${e.type}:${e.canonical_path}`).join(',')
+    },
+    'add:/outside,delete:/outside'
+  )
+
+  console.log('\nTesting batches...\n')
+
+  await runTest(
+    'batch applies writes and deletes with one grouped event',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/old-page', 'old')
+      await db.write('/page', 'page v1')
+
+      var events = []
+      db.on_change(event => events.push(event))
+      await db.batch([
+        { op: 'write', path: '/page', content: 'page v2' },
+        { op: 'write', path: '/page/style.css', content: 'css' },
+        { op: 'delete', path: '/old-page' },
+        { op: 'delete', path: '/never-existed' }
+      ])
+
+      var result = [
+        await db.read('/page'),
+        await db.read('/page/style.css'),
+        await db.read('/old-page'),
+        events.length,
+        events[0].type,
+        events[0].changes.map(x => `${x.type}:${x.canonical_path}`).join(','),
+        (await take(db.changes({ since: 2, prefix: '/page/style.css' }), 1))[0].changes.length,
+        (await fs.promises.readdir(db_test_dir)).filter(x => x.startsWith('.url-file-db-tmp-')).length,
+        (await fs.promises.readdir(db_test_dir + '-meta')).filter(x => x.endsWith('.journal')).length
+      ].join('|')
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    'page v2|css||1|batch|change:/page,add:/page/style.css,delete:/old-page|1|0|0'
+  )
+
+  await runTest(
+    'batch rolls back when applying fails',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/a', 'a v1')
+      await db.write('/b', 'b v1')
+
+      // Fail when moving the staged content of /new into place
+      var rename = db._rename
+      db._rename = async (from, to) => {
+        if (to === db_test_dir + '/new') throw new Error('disk full')
+        return rename(from, to)
+      }
+
+      var error = await db.batch([
+        { op: 'write', path: '/a', content: 'a v2' },
+        { op: 'delete', path: '/b' },
+        { op: 'write', path: '/new', content: 'new' }
+      ]).catch(e => e.message)
+      db._rename = rename
+
+      var result = [
+        error,
+        await db.read('/a'),
+        await db.read('/b'),
+        await db.read('/new'),
+        db.has('/new'),
+        (await fs.promises.readdir(db_test_dir)).sort().join(',')
+      ].join('|')
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    'disk full|a v1|b v1||false|a,b'
+  )
+
+  await runTest(
+    'batch checks every precondition before changing anything',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/a', 'a v1')
+      await db.write('/b', 'b v1')
+
+      var error = await db.batch([
+        { op: 'write', path: '/a', content: 'a v2' },
+        { op: 'write', path: '/b', content: 'b v2', if_match: 'stale' }
+      ]).catch(e => `${e.code}:${e.canonical_path}`)
+      var duplicate = await db.batch([
+        { op: 'write', path: '/a', content: 'x' },
+        { op: 'delete', path: '/a/index' }
+      ]).catch(e => e.message)
+
+      var result = `${error}|${await db.read('/a')}|${await db.read('/b')}|${duplicate}`
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    'CONFLICT:/b|a v1|b v1|url-file-db: batch has the same path more than once'
+  )
+
+  await runTest(
+    'interrupted batches are recovered from their journal on startup',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+      var db = await url_file_db.create(db_test_dir, meta_dir)
+      await db.write('/a', 'a v1')
+      await db.write('/b', 'b v1')
+      await db.close()
+
+      // A crash while applying: /a was replaced, /new was created
+      var backup = db_test_dir + '/.url-file-db-tmp-backup'
+      await fs.promises.rename(db_test_dir + '/a', backup)
+      await fs.promises.writeFile(db_test_dir + '/a', 'a v2')
+      await fs.promises.writeFile(db_test_dir + '/new', 'new')
+      await fs.promises.writeFile(meta_dir + '/batch-1.journal', JSON.stringify({
+        state: 'applying',
+        steps: [
+          { op: 'write', canonical_path: '/a', fullpath: db_test_dir + '/a', staged: db_test_dir + '/.url-file-db-tmp-s1', backup },
+          { op: 'write', canonical_path: '/new', fullpath: db_test_dir + '/new', staged: db_test_dir + '/.url-file-db-tmp-s2', backup: null }
+        ]
+      }))
+
+      // A crash after committing: only the backup of /b is left over
+      var committed_backup = db_test_dir + '/.url-file-db-tmp-backup-b'
+      await fs.promises.writeFile(committed_backup, 'b v0')
+      await fs.promises.writeFile(meta_dir + '/batch-2.journal', JSON.stringify({
+        state: 'committed',
+        steps: [{ op: 'write', canonical_path: '/b', fullpath: db_test_dir + '/b', staged: null, backup: committed_backup }]
+      }))
+
+      db = await url_file_db.create(db_test_dir, meta_dir)
+      var result = [
+        await db.read('/a'),
+        await db.read('/b'),
+        await db.read('/new'),
+        (await fs.promises.readdir(db_test_dir)).sort().join(','),
+        (await fs.promises.readdir(meta_dir)).filter(x => x.endsWith('.journal')).length
+      ].join('|')
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return result
+    },
+    'a v1|b v1||a,b|0'
+  )
+
+  await runTest(
+    'a batch interrupted while saving its journal is rolled back',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+      var db = await url_file_db.create(db_test_dir, meta_dir)
+      await db.write('/a', 'a v1')
+      await db.close()
+
+      // A crash while writing the committed state: /a was replaced, but the
+      // journal still says applying, and the new state was cut off
+      var backup = db_test_dir + '/.url-file-db-tmp-backup'
+      await fs.promises.rename(db_test_dir + '/a', backup)
+      await fs.promises.writeFile(db_test_dir + '/a', 'a v2')
+      var steps = [
+        { op: 'write', canonical_path: '/a', fullpath: db_test_dir + '/a', staged: db_test_dir + '/.url-file-db-tmp-s1', backup }
+      ]
+      await fs.promises.writeFile(meta_dir + '/batch-1.journal', JSON.stringify({ state: 'applying', steps }))
+      var committed = JSON.stringify({ state: 'committed', steps })
+      await fs.promises.writeFile(meta_dir + '/batch-1.journal.tmp', committed.slice(0, committed.length / 2))
+
+      db = await url_file_db.create(db_test_dir, meta_dir, null, null, { logger: {} })
+      var result = [
+        await db.read('/a'),
+        (await fs.promises.readdir(db_test_dir)).sort().join(','),
+        (await fs.promises.readdir(meta_dir)).filter(x => x.startsWith('batch-')).length
+      ].join('|')
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return result
+    },
+    'a v1|a|0'
+  )
+
+  console.log('\nTesting version history...\n')
+
+  function sha256_hex(content) {
+    return require('crypto').createHash('sha256').update(content).digest('hex')
+  }
+
+  await runTest(
+    'history keeps earlier versions of db writes',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { history: true })
+
+      await db.write('/doc', 'first')
+      await db.write('/doc', 'second')
+      await db.write('/doc', 'third')
+
+      var versions = await db.history('/doc')
+      var oldest = (await db.read('/doc', { version: versions[2].version })).toString()
+      var unknown = await db.read('/doc', { version: 'nope' })
+      var reverted = await db.revert('/doc', versions[2].version)
+      var current = (await db.read('/doc')).toString()
+      var after_revert = await db.history('/doc')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return [
+        versions.length,
+        versions[0].version === sha256_hex('third'),
+        typeof versions[0].time,
+        versions[0].size,
+        oldest,
+        unknown,
+        reverted,
+        current,
+        after_revert.length
+      ].join('|')
+    },
+    '3|true|number|5|first||true|first|4'
+  )
+
+  await runTest(
+    'history records external edits and content from before it was enabled',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/doc', 'before history')
+      await db.close()
+
+      db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { history: true })
+      await db.write('/doc', 'db write')
+      await new Promise(resolve => setTimeout(resolve, 50))
+      await fs.promises.writeFile(db_test_dir + '/doc', 'external edit')
+      await new Promise(resolve => setTimeout(resolve, 400))
+
+      var contents = []
+      for (var { version } of await db.history('/doc')) {
+        contents.push((await db.read('/doc', { version })).toString())
+      }
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return contents.join(',')
+    },
+    'external edit,db write,before history'
+  )
+
+  await runTest(
+    'history retention drops old versions and their content',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { history: { max_versions: 2 } })
+
+      for (var i = 1; i <= 5; i++) await db.write('/doc', 'version ' + i)
+      await db.write('/other', 'version 5')  // shares content with /doc
+
+      var versions = await db.history('/doc')
+      var objects = await fs.promises.readdir(db_test_dir + '-meta/history/objects')
+      await db.close()
+
+      // Histories survive a restart
+      db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { history: { max_versions: 2 } })
+      var reloaded = (await db.history('/doc')).length
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return `${versions.length}|${objects.length}|${reloaded}`
+    },
+    '2|2|2'
+  )
+
+  await runTest(
+    'deleted and renamed paths keep their history',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { history: true })
+
+      await db.write('/gone', 'keep me')
+      await db.delete('/gone')
+      var [{ version }] = await db.history('/gone')
+      var restored = await db.revert('/gone', version)
+
+      await db.write('/old-name', 'moving')
+      await db.rename('/old-name', '/new-name')
+      var moved = `${(await db.history('/old-name')).length}-${(await db.history('/new-name')).length}`
+
+      var result = `${restored}|${await db.read('/gone')}|${moved}`
+      await db.close()
+
+      var disabled = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      var error = await disabled.history('/gone').catch(e => e.message)
+      await disabled.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return `${result}|${error}`
+    },
+    'true|keep me|0-1|url-file-db: history is not enabled'
+  )
+
+  await runTest(
+    'a write resolves when history cannot record it',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var storage = url_file_db.memory_storage()
+      var rename = storage.rename
+      storage.rename = async (from, to) => {
+        if (to.startsWith(db_test_dir + '-meta/history/')) {
+          throw Object.assign(new Error('EIO: i/o error, rename'), { code: 'EIO', syscall: 'rename' })
+        }
+        return rename.call(storage, from, to)
+      }
+      var errors = []
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null,
+        { storage, history: true, logger: { error: message => errors.push(message) } })
+
+      var written = await db.write('/a', 'A').then(() => 'written', e => e.code)
+      var content = await db.read('/a')
+      await db.close()
+      return `${written}|${content}|${Array.from(new Set(errors)).join(',')}`
+    },
+    'written|A|url-file-db: error recording history'
+  )
+
+  console.log('\nTesting content types...\n')
+
+  await runTest(
+    'write records content_type and read returns it with_meta',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      await db.write('/blog/post', '# Hello', { content_type: 'text/markdown' })
+      var first = await db.read('/blog/post', { with_meta: true })
+
+      // A later write without a type keeps the recorded one
+      await db.write('/blog/post', '# Hello again')
+      var second = await db.read('/blog/post', { with_meta: true })
+      var stat = await db.stat('/blog/post')
+      var missing = await db.read('/blog/nothing', { with_meta: true })
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return [
+        first.content.toString(),
+        first.content_type,
+        first.version === require('crypto').createHash('sha256').update('# Hello').digest('hex'),
+        first.mtime instanceof Date,
+        second.content.toString(),
+        second.content_type,
+        second.version === stat.version,
+        stat.content_type,
+        missing === null
+      ].join('|')
+    },
+    '# Hello|text/markdown|true|true|# Hello again|text/markdown|true|text/markdown|true'
+  )
+
+  await runTest(
+    'content types are inferred from the extension or sniffed',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      await fs.promises.mkdir(db_test_dir, { recursive: true })
+      await fs.promises.writeFile(`${db_test_dir}/style.css`, 'p { color: red }')
+      await fs.promises.writeFile(`${db_test_dir}/page`, '<!DOCTYPE html><p>hi</p>')
+      await fs.promises.writeFile(`${db_test_dir}/data`, '{"a": 1}')
+      await fs.promises.writeFile(`${db_test_dir}/image`, Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]))
+
+      var seen = new Set()
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', (_db, key) => seen.add(key))
+      for (var i = 0; i < 50 && seen.size < 4; i++) await new Promise(resolve => setTimeout(resolve, 20))
+
+      // Written through the db without a type
+      await db.write('/notes', 'just some text')
+
+      var types = []
+      for (var path of ['/style.css', '/page', '/data', '/image', '/notes']) {
+        types.push(db.list(path, { include_meta: true })[0].meta.content_type)
+      }
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return types.join('|')
+    },
+    'text/css; charset=utf-8|text/html; charset=utf-8|application/json|image/png|text/plain; charset=utf-8'
+  )
+
+  await runTest(
+    'http_handler serves the recorded content type',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      var result = await with_server(db.http_handler(), async base => {
+        await fetch(base + '/blog/post', {
+          method: 'PUT',
+          headers: { 'Content-Type': 'text/markdown; charset=utf-8' },
+          body: '# Post'
+        })
+        var get = await fetch(base + '/blog/post')
+        return `${get.headers.get('content-type')}|${await get.text()}`
+      })
+      var stored = (await db.read('/blog/post', { with_meta: true })).content_type
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return `${result}|${stored}`
+    },
+    'text/markdown; charset=utf-8|# Post|text/markdown; charset=utf-8'
+  )
+
+  console.log('\nTesting errors...\n')
+
+  // An error like the ones fs rejects with
+  function fs_error(code, syscall) {
+    var e = new Error(`${code}: ${syscall} failed`)
+    e.code = code
+    e.syscall = syscall
+    return e
+  }
+
+  await runTest(
+    'failed writes reject with IOError and later writes still work',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      var original_writeFile = db._writeFile
+      db._writeFile = async () => { throw fs_error('ENOSPC', 'write') }
+      var error = await db.write('/a', 'x').catch(e => e)
+      db._writeFile = original_writeFile
+      await db.write('/a', 'y')
+      var content = (await db.read('/a')).toString()
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return [
+        error instanceof url_file_db.IOError,
+        error.code,
+        error.canonical_path,
+        error.cause.code,
+        content
+      ].join('|')
+    },
+    'true|IO_ERROR|/a|ENOSPC|y'
+  )
+
+  await runTest(
+    'read and delete only treat missing files as null/false',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/a', 'content')
+
+      var original_readFile = db._readFile
+      db._readFile = async () => { throw fs_error('EIO', 'read') }
+      var read_error = await db.read('/a').catch(e => e.code)
+      db._readFile = original_readFile
+      var missing = await db.read('/missing')
+
+      var original_unlink = db._unlink
+      db._unlink = async () => { throw fs_error('EACCES', 'unlink') }
+      var delete_error = await db.delete('/a').catch(e => e.code)
+      db._unlink = original_unlink
+      var kept = (await db.read('/a')).toString()
+      var deleted_missing = await db.delete('/missing')
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${read_error}|${missing}|${delete_error}|${kept}|${deleted_missing}`
+    },
+    'IO_ERROR|null|READ_ONLY|content|false'
+  )
+
+  await runTest(
+    'invalid paths reject with InvalidPath',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+
+      var read_error = await db.read('/100%').catch(e => e)
+      var write_error = await db.write(42, 'x').catch(e => e.code)
+      var status = await with_server(db.http_handler(), async base => (await fetch(base + '/100%')).status)
+
+      await db.close()
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return `${read_error instanceof url_file_db.InvalidPath}|${read_error.code}|${write_error}|${status}`
+    },
+    'true|INVALID_PATH|INVALID_PATH|400'
+  )
+
+  console.log('\nTesting the logger...\n')
+
+  await runTest(
+    'logger receives events, suppressions, scans, collisions and errors',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var storage = url_file_db.memory_storage({ case_sensitive: false })
+      var entries = []
+      var logger = {}
+      for (let level of ['debug', 'info', 'warn', 'error']) {
+        logger[level] = (message, details) => entries.push({ level, message, details })
+      }
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {
+        throw new Error('callback failed')
+      }, null, { storage, logger, scan_interval_ms: 50 })
+
+      await db.write('/Doc', 'upper')
+      await db.write('/doc', 'lower')
+      await storage.writeFile(db_test_dir + '/theirs', 'external')
+      await new Promise(resolve => setTimeout(resolve, 150))
+      await db.close()
+
+      var has = (level, message, check = () => true) =>
+        entries.some(x => x.level === level && x.message === message && check(x.details))
+      return [
+        has('debug', 'url-file-db: watcher event', x => x.event === 'add' && x.path === db_test_dir + '/theirs'),
+        has('debug', 'url-file-db: suppressed event from own write', x => x.canonical_path === '/Doc'),
+        has('debug', 'url-file-db: scan finished', x => x.files === 3),
+        has('info', 'url-file-db: re-encoded file name to avoid a case collision', x => x.component === 'doc'),
+        has('error', 'url-file-db: error checking /theirs', x => x.error.message === 'callback failed')
+      ].join('|')
+    },
+    'true|true|true|true|true'
+  )
+
+  console.log('\nTesting the log meta store...\n')
+
+  await runTest(
+    'log meta store persists metadata and compacts into a snapshot',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+      var meta_store = { type: 'log', compact_after: 4 }
+
+      var db = await url_file_db.create(db_test_dir, meta_dir, null, null, { meta_store })
+      await db.write('/a', 'A')
+      await db.write('/b', 'B')
+      await db.write('/c', 'C')
+      await db.update_meta('/a', { tag: 'kept' })
+      await db.delete('/b')
+      var log_lines = (await fs.promises.readFile(meta_dir + '/meta.log', 'utf8')).split('\n').filter(x => x)
+      await db.close()
+
+      var files = (await fs.promises.readdir(meta_dir)).filter(x => x.startsWith('meta.') || x.startsWith('!'))
+      var log_after_close = await fs.promises.readFile(meta_dir + '/meta.log', 'utf8')
+
+      var reopened = await url_file_db.create(db_test_dir, meta_dir, null, null, { meta_store })
+      var result = [
+        log_lines.length,
+        files.sort().join(','),
+        log_after_close.length,
+        reopened.get_meta('/a').tag,
+        reopened.has('/b'),
+        reopened.get_all_meta_paths().sort().join(',')
+      ].join('|')
+      await reopened.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return result
+    },
+    '1|meta.log,meta.snapshot|0|kept|false|/a,/c'
+  )
+
+  await runTest(
+    'log meta store migrates per-file metadata',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+
+      var db = await url_file_db.create(db_test_dir, meta_dir)
+      await db.write('/a', 'A')
+      await db.write('/dir/b', 'B')
+      await db.update_meta('/dir/b', { tag: 'migrated' })
+      var version = await db.get_version('/dir/b')
+      await db.close()
+
+      var migrated = await url_file_db.create(db_test_dir, meta_dir, null, null, { meta_store: 'log' })
+      var meta = migrated.get_meta('/dir/b')
+      var result = [
+        migrated.get_all_meta_paths().sort().join(','),
+        meta.tag,
+        meta.hash === version,
+        (await fs.promises.readdir(meta_dir)).some(x => x.startsWith('!'))
+      ].join('|')
+      await migrated.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return result
+    },
+    '/a,/dir/b|migrated|true|false'
+  )
+
+  await runTest(
+    'log meta store replays the log over the snapshot and skips a torn line',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+      await fs.promises.mkdir(meta_dir, { recursive: true })
+      await fs.promises.mkdir(db_test_dir, { recursive: true })
+      await fs.promises.writeFile(db_test_dir + '/b', 'B')
+
+      // As left by a crash: appends after the snapshot, the last one cut short
+      await fs.promises.writeFile(meta_dir + '/meta.snapshot',
+        JSON.stringify({ canonical_path: '/a', tag: 1 }) + '\n' +
+        JSON.stringify({ canonical_path: '/b', tag: 1 }) + '\n')
+      await fs.promises.writeFile(meta_dir + '/meta.log',
+        JSON.stringify({ canonical_path: '/a', meta: null }) + '\n' +
+        JSON.stringify({ canonical_path: '/b', meta: { canonical_path: '/b', tag: 2 } }) + '\n' +
+        '{"canonical_path":"/c","me')
+
+      var warnings = []
+      var logger = { warn: message => warnings.push(message) }
+      var db = await url_file_db.create(db_test_dir, meta_dir, null, null, { meta_store: 'log', logger })
+      var result = `${db.get_all_meta_paths().join(',')}|${db.get_meta('/b').tag}|${warnings.length}`
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return result
+    },
+    '/b|2|1'
+  )
+
+  console.log('\nTesting db.query_meta...\n')
+
+  await runTest(
+    'db.query_meta filters by prefix and modification time',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta')
+      await db.write('/docs/a', 'A')
+      await db.write('/docs-old', 'X')
+      await db.write('/other', 'O')
+      var since = db.get_meta('/other').mtime_ns
+      await new Promise(resolve => setTimeout(resolve, 20))
+      await db.write('/docs/b', 'B')
+
+      var paths = options => db.query_meta(options).map(x => x.canonical_path).join(',')
+      var result = [
+        paths({ prefix: '/docs' }),
+        paths({ changed_since: since }),
+        paths({ prefix: '/docs', changed_since: since }),
+        db.query_meta({ prefix: '/docs/a' })[0].meta.hash === await db.get_version('/docs/a')
+      ].join('|')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+      return result
+    },
+    '/docs/a,/docs/b|/docs/b|/docs/b|true'
+  )
+
+  console.log('\nTesting the sqlite meta store...\n')
+
+  try {
+    require('node:sqlite')
+    var has_sqlite = true
+  } catch (e) {
+    console.log('  (node:sqlite is not available in this Node; skipping)')
+  }
+
+  if (has_sqlite) {
+    await runTest(
+      'sqlite meta store persists metadata in indexed columns',
+      async () => {
+        var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+        var meta_dir = db_test_dir + '-meta'
+
+        var db = await url_file_db.create(db_test_dir, meta_dir, null, null, { meta_store: 'sqlite' })
+        await db.write('/docs/a', 'A')
+        await db.write('/docs/b', 'B')
+        await db.update_meta('/docs/a', { tag: 'kept' })
+        await db.set_read_only('/docs/b', true)
+        var mtime_ns = db.get_meta('/docs/a').mtime_ns
+        await db.delete('/docs/b')
+        await db.close()
+
+        var reopened = await url_file_db.create(db_test_dir, meta_dir, null, null, { meta_store: 'sqlite' })
+        var meta = reopened.get_meta('/docs/a')
+        var result = [
+          reopened.get_all_meta_paths().join(','),
+          meta.tag,
+          meta.mtime_ns === mtime_ns,
+          meta.hash === await reopened.get_version('/docs/a'),
+          reopened.query_meta({ prefix: '/docs', changed_since: BigInt(mtime_ns) - 1n }).length,
+          reopened.query_meta({ changed_since: mtime_ns }).length
+        ].join('|')
+        await reopened.close()
+
+        await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+        await fs.promises.rm(meta_dir, { recursive: true, force: true })
+        return result
+      },
+      '/docs/a|kept|true|true|1|0'
+    )
+
+    await runTest(
+      'sqlite meta store migrates per-file metadata',
+      async () => {
+        var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+        var meta_dir = db_test_dir + '-meta'
+
+        var db = await url_file_db.create(db_test_dir, meta_dir)
+        await db.write('/a', 'A')
+        await db.write('/dir/b', 'B')
+        await db.update_meta('/dir/b', { tag: 'migrated' })
+        await db.close()
+
+        var warnings = []
+        var logger = { warn: message => warnings.push(message) }
+        var migrated = await url_file_db.create(db_test_dir, meta_dir, null, null, { meta_store: 'sqlite', logger })
+        var result = [
+          migrated.get_all_meta_paths().join(','),
+          migrated.get_meta('/dir/b').tag,
+          (await fs.promises.readdir(meta_dir)).some(x => x.startsWith('!')),
+          warnings.length
+        ].join('|')
+        await migrated.close()
+
+        await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+        await fs.promises.rm(meta_dir, { recursive: true, force: true })
+        return result
+      },
+      '/a,/dir/b|migrated|false|0'
+    )
+  }
+
+  console.log('\nTesting db.fsck...\n')
+
+  await runTest(
+    'db.fsck reports and repairs disagreements with the disk',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+
+      // While muted, the watcher ignores changes, so the db falls behind
+      var muted = false
+      var db = await url_file_db.create(db_test_dir, meta_dir, null,
+        (fullpath, event) => event === 'scan' || !muted, { scan_interval_ms: 60000 })
+      await db.write('/kept.txt', 'kept')
+      await db.write('/gone.txt', 'gone')
+      await db.write('/dir/a', 'A')
+      var clean = await db.fsck()
+
+      muted = true
+      await fs.promises.unlink(db_test_dir + '/gone.txt')
+      await fs.promises.writeFile(db_test_dir + '/new.txt', 'new')
+      await fs.promises.writeFile(db_test_dir + '/ab', 'ab')
+      await fs.promises.writeFile(db_test_dir + '/a%62', 'a%62')
+      await fs.promises.mkdir(db_test_dir + '/dir/index')
+      await fs.promises.writeFile(db_test_dir + '/dir/index/x', 'x')
+
+      var describe = problems => problems.map(x => `${x.type} ${x.canonical_path}`).sort().join(',')
+      var found = await db.fsck({ repair: true })
+      var left = await db.fsck()
+      var result = [
+        clean.length,
+        describe(found),
+        describe(found.filter(x => x.repaired)) === describe(found.filter(x => x.type !== 'duplicate_encoding' && x.type !== 'shadowed')),
+        describe(left),
+        db.list().sort().join(',')
+      ].join('|')
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return result
+    },
+    '0|' +
+    'duplicate_encoding /ab,missing_meta /ab,missing_meta /new.txt,missing_node /ab,missing_node /dir,missing_node /new.txt,' +
+    'shadowed /dir,stale_meta /gone.txt,stale_node /gone.txt|true|' +
+    'duplicate_encoding /ab,shadowed /dir|/ab,/dir/a,/kept.txt,/new.txt'
+  )
+
+  console.log('\nTesting the lock...\n')
+
+  await runTest(
+    'a second db on the same meta_dir is refused until the first closes',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+
+      var db1 = await url_file_db.create(db_test_dir, meta_dir)
+      var lock = JSON.parse(await fs.promises.readFile(meta_dir + '/lock', 'utf8'))
+      var error = await url_file_db.create(db_test_dir, meta_dir).catch(e => e)
+      await db1.close()
+      var lock_after_close = fs.existsSync(meta_dir + '/lock')
+
+      var db2 = await url_file_db.create(db_test_dir, meta_dir)
+      await db2.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return [
+        lock.pid === process.pid && lock.hostname === require('os').hostname(),
+        error.code,
+        error.holder.pid === process.pid,
+        lock_after_close
+      ].join('|')
+    },
+    'true|LOCKED|true|false'
+  )
+
+  await runTest(
+    'a db that fails to open releases the lock',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var storage = url_file_db.memory_storage()
+      var watch = storage.watch
+      storage.watch = () => {
+        throw new Error('watcher limit reached')
+      }
+
+      var error = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { storage }).catch(e => e.message)
+      var lock_after_failure = await storage.stat(db_test_dir + '-meta/lock').then(() => true, () => false)
+      storage.watch = watch
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { storage })
+      await db.write('/a', 'A')
+      var content = await db.read('/a')
+      await db.close()
+      return `${error}|${lock_after_failure}|${content}`
+    },
+    'watcher limit reached|false|A'
+  )
+
+  await runTest(
+    'a db that fails to open closes its meta store first',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+      var storage = url_file_db.memory_storage()
+      var db = await url_file_db.create(db_test_dir, meta_dir, null, null, { storage, meta_store: 'log' })
+      await db.close()
+
+      // The meta log has an entry to replay, then the watcher fails to start
+      await storage.appendFile(meta_dir + '/meta.log',
+        JSON.stringify({ canonical_path: '/replayed', meta: { canonical_path: '/replayed', mtime_ns: '1' } }) + '\n')
+      var watch = storage.watch
+      storage.watch = () => {
+        throw new Error('watcher limit reached')
+      }
+      var error = await url_file_db.create(db_test_dir, meta_dir, null, null, { storage, meta_store: 'log' })
+        .catch(e => e.message)
+      storage.watch = watch
+
+      // Closing the log store compacted it into the snapshot
+      var meta_log = await storage.readFile(meta_dir + '/meta.log', 'utf8')
+      var snapshot = await storage.readFile(meta_dir + '/meta.snapshot', 'utf8')
+      return `${error}|${meta_log.length}|${snapshot.includes('/replayed')}`
+    },
+    'watcher limit reached|0|true'
+  )
+
+  await runTest(
+    'stale locks are taken over, live ones on other hosts are not',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+      var lock_path = meta_dir + '/lock'
+      await fs.promises.mkdir(meta_dir, { recursive: true })
+
+      var warnings = []
+      var logger = { warn: message => warnings.push(message) }
+      var open = () => url_file_db.create(db_test_dir, meta_dir, null, null, { logger })
+        .then(db => db.close().then(() => 'opened'), e => e.code)
+
+      // Left by a process on this host that has exited
+      var dead_pid = require('child_process').spawnSync(process.execPath, ['-e', '']).pid
+      await fs.promises.writeFile(lock_path, JSON.stringify({ pid: dead_pid, hostname: require('os').hostname() }))
+      var dead = await open()
+
+      // Another host's lock: live while its mtime is fresh
+      await fs.promises.writeFile(lock_path, JSON.stringify({ pid: 1, hostname: 'elsewhere' }))
+      var fresh = await open()
+      var old = new Date(Date.now() - 120000)
+      await fs.promises.utimes(lock_path, old, old)
+      var expired = await open()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return [dead, fresh, expired, warnings.filter(x => x.includes('stale lock')).length].join('|')
+    },
+    'opened|LOCKED|opened|2'
+  )
+
+  await runTest(
+    'a follower opens a locked db read-only',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+
+      var leader = await url_file_db.create(db_test_dir, meta_dir)
+      await leader.write('/a.txt', 'A')
+      var meta_files = (await fs.promises.readdir(meta_dir)).sort().join(',')
+
+      var follower = await url_file_db.create(db_test_dir, meta_dir, null, null, { follower: true })
+      var read = await follower.read('/a.txt')
+      var write_error = await follower.write('/b.txt', 'B').catch(e => e.code)
+
+      // The follower learns about the leader's writes from the watcher
+      await leader.write('/b.txt', 'B')
+      await new Promise(resolve => setTimeout(resolve, 500))
+      var follower_has_b = follower.has('/b.txt')
+      await follower.close()
+
+      var lock_kept = fs.existsSync(meta_dir + '/lock')
+      await leader.write('/c.txt', 'C')
+      var meta_files_after = (await fs.promises.readdir(meta_dir)).sort().join(',')
+      await leader.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return [
+        read,
+        write_error,
+        follower_has_b,
+        lock_kept,
+        meta_files_after === meta_files.replace('!a.txt', '!a.txt,!b.txt,!c.txt')
+      ].join('|')
+    },
+    'A|READ_ONLY|true|true|true'
+  )
+
+  await runTest(
+    'a follower writes nothing to storage',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+      var storage = url_file_db.memory_storage({ case_sensitive: false })
+      var leader = await url_file_db.create(db_test_dir, meta_dir, null, null, { storage })
+      await leader.write('/Foo', 'upper')
+      await leader.write('/foo', 'lower')
+
+      var writes = []
+      var follower_storage = Object.create(storage)
+      for (let method of ['writeFile', 'appendFile', 'mkdir', 'unlink', 'rename', 'rmdir', 'set_read_only', 'createWriteStream']) {
+        follower_storage[method] = (path, ...rest) => {
+          writes.push(`${method} ${path}`)
+          return storage[method](path, ...rest)
+        }
+      }
+      var follower = await url_file_db.create(db_test_dir, meta_dir, null, null, { storage: follower_storage, follower: true })
+      var case_sensitive = url_file_db.memory_storage({ case_sensitive: true })
+      await case_sensitive.mkdir(db_test_dir, { recursive: true })
+      await case_sensitive.writeFile(db_test_dir + '/Foo', '')
+      var result = [
+        (await follower.read('/Foo')).toString(),
+        (await follower.read('/foo')).toString(),
+        await url_file_db.detect_case_sensitivity(db_test_dir, follower_storage, { read_only: true }),
+        await url_file_db.detect_case_sensitivity(db_test_dir, case_sensitive, { read_only: true }),
+        writes.join(',')
+      ].join('|')
+      await follower.close()
+      await leader.close()
+      return result
+    },
+    'upper|lower|false|true|'
+  )
+
+  console.log('\nTesting quotas...\n')
+
+  await runTest(
+    'writes past a size limit or quota reject with QuotaExceeded',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+
+      var db = await url_file_db.create(db_test_dir, meta_dir, null, null, {
+        max_file_size: 10,
+        max_total_bytes: 30,
+        quotas: { '/docs': { max_files: 2 } }
+      })
+      var describe = e => `${e.code} ${e.limit} ${e.prefix} ${e.max}`
+
+      var too_big = await db.write('/a', 'x'.repeat(11)).catch(describe)
+      await db.write('/a', 'x'.repeat(10))
+      await db.write('/b', 'x'.repeat(10))
+      await db.write('/c', 'x'.repeat(10))
+      var too_much = await db.write('/d', 'x').catch(describe)
+
+      // Shrinking a file is fine even with the db full
+      await db.write('/a', 'x'.repeat(5))
+      await db.write('/docs/1', 'x')
+      await db.write('/docs/2', 'x')
+      var too_many = await db.write('/docs/3', 'x').catch(describe)
+
+      // Streams fail once too many bytes arrive, leaving the old content
+      var stream_error = await require('stream').promises.pipeline(
+        require('stream').Readable.from([Buffer.alloc(6), Buffer.alloc(6)]),
+        await db.write_stream('/a')
+      ).catch(describe)
+      var size_after_stream = (await db.stat('/a')).size
+
+      // A batch counts its deletes against its writes
+      await db.batch([{ op: 'delete', path: '/c' }, { op: 'write', path: '/e', content: 'x'.repeat(10) }])
+      var usage = db.usage()
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return [too_big, too_much, too_many, stream_error, size_after_stream, JSON.stringify(usage)].join('|')
+    },
+    'QUOTA_EXCEEDED max_file_size null 10|QUOTA_EXCEEDED max_total_bytes / 30|' +
+    'QUOTA_EXCEEDED max_files /docs 2|QUOTA_EXCEEDED max_file_size null 10|5|{"files":5,"bytes":27}'
+  )
+
+  await runTest(
+    'db.usage follows writes, deletes, renames and outside changes',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var meta_dir = db_test_dir + '-meta'
+
+      var db = await url_file_db.create(db_test_dir, meta_dir)
+      var show = () => ['/', '/a', '/c'].map(prefix => {
+        var usage = db.usage(prefix)
+        return `${usage.files}:${usage.bytes}`
+      }).join(' ')
+
+      await db.write('/a/x', 'abc')
+      await db.write('/a/y', 'de')
+      await db.write('/b', 'f')
+      var after_writes = show()
+
+      await db.rename('/a/x', '/c/x')
+      await db.delete('/a/y')
+      var after_moves = show()
+
+      await fs.promises.writeFile(db_test_dir + '/c/z', 'hello')
+      await new Promise(resolve => setTimeout(resolve, 500))
+      var after_outside = show()
+      await db.close()
+
+      // A restart counts everything again from the scan
+      db = await url_file_db.create(db_test_dir, meta_dir)
+      var after_restart = show()
+      await db.close()
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(meta_dir, { recursive: true, force: true })
+      return [after_writes, after_moves, after_outside, after_restart].join('|')
+    },
+    '3:6 2:5 0:0|2:4 0:0 1:3|3:9 0:0 2:8|3:9 0:0 2:8'
+  )
+
+  console.log('\nTesting db.close...\n')
+
+  await runTest(
+    'db.close waits for in-flight writes',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      db._writeFile = overloaded_writeFile
+
+      // Start a slow write and close without awaiting it first
+      var write_promise = db.write('/slow.txt', 'slow content')
+      await db.close()
+
+      var content = await fs.promises.readFile(`${db_test_dir}/slow.txt`, 'utf8')
+      await write_promise
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return content
+    },
+    'slow content'
+  )
+
+  await runTest(
+    'db methods reject after db.close',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', () => {})
+
+      await db.write('/file.txt', 'content')
+      await db.close()
+
+      var errors = []
+      for (var op of [() => db.read('/file.txt'), () => db.write('/file.txt', 'x'), () => db.delete('/file.txt')]) {
+        try {
+          await op()
+          errors.push('none')
+        } catch (e) {
+          errors.push(e.message.includes('database closed') ? 'closed' : e.message)
+        }
+      }
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      return errors.join(',')
+    },
+    'closed,closed,closed'
+  )
+
+  await runTest(
+    'calls after db.close reject with Closed',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null,
+        { storage: url_file_db.memory_storage() })
+      await db.write('/file.txt', 'content')
+      var handler = db.http_handler()
+      await db.close()
+
+      var error = await db.read('/file.txt').catch(e => e)
+      var status = await with_server(handler, async base => (await fetch(base + '/file.txt')).status)
+      return `${error instanceof url_file_db.Closed}|${error.code}|${status}`
+    },
+    'true|CLOSED|503'
+  )
+
+  await runTest(
+    'db.close lets the process exit',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var script = `
+        var { url_file_db } = require(${JSON.stringify(require('path').resolve(__dirname, '../index.js'))})
+        url_file_db.create(${JSON.stringify(db_test_dir)}, ${JSON.stringify(db_test_dir + '-meta')}, () => {})
+          .then(async db => { await db.write('/a', 'a'); await db.close() })
+      `
+
+      var start = Date.now()
+      await new Promise((resolve, reject) => {
+        require('child_process').execFile(process.execPath, ['-e', script], { timeout: 10000 },
+          error => error ? reject(error) : resolve())
+      })
+      var elapsed = Date.now() - start
+
+      await fs.promises.rm(db_test_dir, { recursive: true, force: true })
+      await fs.promises.rm(db_test_dir + '-meta', { recursive: true, force: true })
+
+      // The default scan interval is 20 seconds, so a live timer would keep us waiting
+      return elapsed < 5000 ? 'exited' : 'hung'
+    },
+    'exited'
+  )
+
+  console.log('\nTesting storage adapters...\n')
+
+  await runTest(
+    'memory storage runs the db without touching disk',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var storage = url_file_db.memory_storage()
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { storage })
+
+      await db.write('/a', 'A')
+      await db.write('/a/b', 'B')
+      await db.rename('/a/b', '/c')
+      await db.delete('/c')
+      await db.write('/d', 'D')
+
+      var result = [
+        (await db.read('/a')).toString(),
+        await db.read('/c'),
+        (await db.read('/d')).toString(),
+        (await db.list('/')).join(','),
+        (await storage.readdir(db_test_dir)).sort().join(','),
+        fs.existsSync(db_test_dir)
+      ].join('|')
+
+      await db.close()
+      return result
+    },
+    'A||D|/a,/d|a,d|false'
+  )
+
+  await runTest(
+    'memory storage reports external changes',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var storage = url_file_db.memory_storage()
+      var events = []
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta',
+        (db, path, event) => events.push(`${event.type}:${path}`), null, { storage })
+
+      await db.write('/mine', 'ours')
+      await storage.writeFile(db_test_dir + '/theirs', 'external')
+      await new Promise(resolve => setTimeout(resolve, 50))
+      await storage.unlink(db_test_dir + '/theirs')
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      await db.close()
+      return events.join(',')
+    },
+    'add:/theirs,delete:/theirs'
+  )
+
+  await runTest(
+    'memory storage keeps meta across reopen',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var storage = url_file_db.memory_storage()
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { storage })
+      await db.write('/x', 'X')
+      await db.set_meta('/x', { tag: 'kept' })
+      await db.set_read_only('/x', true)
+      await db.close()
+
+      db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { storage })
+      var result = `${db.get_meta('/x').tag}|${await db.is_read_only('/x')}|${(await db.read('/x')).toString()}`
+      await db.close()
+      return result
+    },
+    'kept|true|X'
+  )
+
+  await runTest(
+    'case-insensitive memory storage avoids collisions',
+    async () => {
+      var db_test_dir = '/tmp/test-db-' + Math.random().toString(36).slice(2)
+      var storage = url_file_db.memory_storage({ case_sensitive: false })
+      await storage.mkdir(db_test_dir, { recursive: true })
+      var detected = await url_file_db.detect_case_sensitivity(db_test_dir, storage)
+
+      var db = await url_file_db.create(db_test_dir, db_test_dir + '-meta', null, null, { storage })
+      await db.write('/Foo', 'upper')
+      await db.write('/foo', 'lower')
+
+      var result = [
+        detected,
+        (await db.read('/Foo')).toString(),
+        (await db.read('/foo')).toString(),
+        (await storage.readdir(db_test_dir)).length
+      ].join('|')
+
+      await db.close()
+      return result
+    },
+    'false|upper|lower|2'
+  )
+
   // Show summary with filter info if applicable
   var summary = `\n${passed} passed, ${failed} failed`
   if (filterArg) {